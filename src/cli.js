@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for the lead pipeline, without the Slack app or HTTP server
+ *
+ * Usage:
+ *   leads run <post-url> [options]
+ *   leads batch <file> [options]   (one post URL per line; CSV exports work too)
+ *
+ * Runs go one at a time, print stage progress to the terminal and end with a results file
+ * holding one row per engager (the run export, plus a post_url column).
+ */
+
+// Keep the terminal for progress lines: the CLI has its own log level, set before dotenv so the app's
+// LOG_LEVEL from .env doesn't apply (dotenv never overrides a variable that's already set)
+process.env.LOG_LEVEL = process.env.CLI_LOG_LEVEL || (process.argv.includes('--verbose') ? 'INFO' : 'WARN');
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { initializeServices, runPipeline } = require('./index');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, formatExport } = require('./utils/export');
+const { parsePostUrl, findPostUrls } = require('./utils/linkedin-urls');
+
+const USAGE = `Usage:
+  leads run <post-url> [options]
+  leads batch <file> [options]
+
+Options:
+  --dry-run                 Enrich and filter without pushing
+  --campaign <id>           Campaign to push to (defaults to the destination's default campaign)
+  --destination <name>      smartlead or instantly (defaults to DEFAULT_DESTINATION)
+  --yes                     Approve the push (required unless REQUIRE_APPROVAL=false)
+  --over-budget <choice>    truncate, commenters or cancel (default) when over a credit budget
+  --no-cache                Look every profile up again instead of using cached results
+  --output <file>           Results file (default: leads-<timestamp>.<format>)
+  --format <csv|json>       Results file format (default: csv)
+  --verbose                 Show info logs (or set CLI_LOG_LEVEL; warnings only by default)
+  -h, --help                Show this help`;
+
+// Flags that take a value, mapped to option names
+const VALUE_FLAGS = {
+  '--campaign': 'campaignId',
+  '--destination': 'destination',
+  '--over-budget': 'overBudget',
+  '--output': 'output',
+  '--format': 'format',
+};
+
+const BOOLEAN_FLAGS = {
+  '--dry-run': 'dryRun',
+  '--yes': 'approve',
+  '--no-cache': 'bypassCache',
+  '--verbose': 'verbose',
+  '--help': 'help',
+  '-h': 'help',
+};
+
+const BUDGET_CHOICES = ['truncate', 'commenters', 'cancel'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - { command, target, options }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (VALUE_FLAGS[flag]) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      options[VALUE_FLAGS[flag]] = value;
+    } else if (BOOLEAN_FLAGS[argv[i]]) {
+      options[BOOLEAN_FLAGS[argv[i]]] = true;
+    } else if (argv[i].startsWith('-')) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  const [command, target] = positional;
+  return { command, target, options };
+}
+
+/**
+ * Collect post URLs from a batch file, one per line; anything else on the line (CSV columns, notes) is ignored
+ * @param {string} file - Path to the file
+ * @returns {Array<string>} - Canonical post URLs in file order, one per post however it was linked
+ */
+function readPostUrls(file) {
+  const posts = fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('#'))
+    // CSV cells may be quoted, so quotes and commas never belong to the URL
+    .map(line => findPostUrls(line.replace(/[",']/g, ' ')).posts[0])
+    .filter(Boolean);
+
+  return [...new Map(posts.map(post => [post.id, post.url])).values()];
+}
+
+/**
+ * Print stage changes as the run's progress card updates
+ * @param {string} prefix - Printed before each line (e.g. "[2/30]")
+ * @returns {Function} - updateJob callback for runPipeline
+ */
+function createProgressPrinter(prefix) {
+  const printed = new Map();
+
+  return ({ progress }) => {
+    if (!progress) return;
+
+    for (const stage of progress.stages) {
+      const line = `${stage.state}${stage.detail ? ` - ${stage.detail}` : ''}`;
+      if (stage.state === 'pending' || printed.get(stage.key) === line) continue;
+
+      printed.set(stage.key, line);
+      console.log(`${prefix} ${stage.label}: ${line}`);
+    }
+  };
+}
+
+/**
+ * One-line outcome of a finished run
+ * @param {Object} stats - Pipeline statistics
+ * @returns {string}
+ */
+function formatOutcome(stats) {
+  const campaign = stats.campaign ? ` ${stats.destination} campaign ${stats.campaign.name}` : '';
+  const pushed = stats.dryRun
+    ? `${stats.previewed} would be pushed${campaign ? ` to${campaign}` : ''}`
+    : `${stats.pushed} pushed${campaign ? ` to${campaign}` : ''}${stats.failed > 0 ? ` (${stats.failed} failed)` : ''}`;
+
+  return `${stats.engagers} engagers → ${stats.enriched} emails → ${pushed}`;
+}
+
+/**
+ * Run the pipeline for each post URL in turn
+ * @param {Array<string>} postUrls - Post URLs
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} - { rows, failures }
+ */
+async function runAll(postUrls, options) {
+  const rows = [];
+  const failures = [];
+
+  for (const [index, postUrl] of postUrls.entries()) {
+    const prefix = `[${index + 1}/${postUrls.length}]`;
+    console.log(`\n${prefix} ${postUrl}`);
+
+    const job = {
+      id: `job_cli_${Date.now()}_${index + 1}`,
+      thread: null,
+      data: {
+        postUrls: [postUrl],
+        source: 'cli',
+        // Enrichment budgets are tracked per local user
+        userId: `cli:${process.env.USER || 'local'}`,
+        ...(options.campaignId && { campaignId: options.campaignId }),
+        ...(options.destination && { destination: options.destination.toLowerCase() }),
+        ...(options.dryRun && { dryRun: true }),
+        ...(options.approve && { approve: true }),
+        ...(options.overBudget && { overBudget: options.overBudget }),
+        ...(options.bypassCache && { bypassCache: true }),
+      },
+    };
+
+    try {
+      const { stats, note, leads } = await runPipeline(job, () => {}, createProgressPrinter(prefix));
+
+      rows.push(...leads.map(row => ({ post_url: postUrl, ...row })));
+      console.log(`${prefix} ${note ? `${note} ` : ''}${formatOutcome(stats)}`);
+    } catch (error) {
+      failures.push({ postUrl, error: error.message });
+      console.error(`${prefix} Failed: ${error.message}`);
+    }
+  }
+
+  return { rows, failures };
+}
+
+async function main() {
+  const { command, target, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!['run', 'batch'].includes(command) || !target) {
+    throw new Error(`Expected \`run <post-url>\` or \`batch <file>\`\n\n${USAGE}`);
+  }
+
+  const format = options.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  if (options.overBudget && !BUDGET_CHOICES.includes(options.overBudget)) {
+    throw new Error(`--over-budget must be one of: ${BUDGET_CHOICES.join(', ')}`);
+  }
+
+  // Nobody can click Approve in a terminal, so pushing needs --yes when approval is on
+  if (!options.dryRun && !options.approve && process.env.REQUIRE_APPROVAL !== 'false') {
+    throw new Error('Pushing leads needs approval: pass --yes to approve, or --dry-run to preview');
+  }
+
+  const postUrls = command === 'run' ? [parsePostUrl(target)?.url].filter(Boolean) : readPostUrls(target);
+  if (postUrls.length === 0) {
+    throw new Error(command === 'run' ? `Not a LinkedIn post URL: ${target}` : `No LinkedIn post URLs found in ${target}`);
+  }
+
+  // Scraping and enrichment always run; a destination is only needed when leads are pushed
+  const { destinations } = initializeServices({ withSlack: false });
+  if (!options.dryRun) {
+    destinations.get(options.destination);
+  }
+
+  const { rows, failures } = await runAll(postUrls, options);
+
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const output = options.output || `leads-${timestamp}.${format}`;
+  fs.writeFileSync(output, formatExport(rows, format, ['post_url', ...EXPORT_COLUMNS]));
+
+  console.log(`\n${postUrls.length - failures.length}/${postUrls.length} posts processed, ${rows.length} engagers written to ${output}`);
+  for (const { postUrl, error } of failures) {
+    console.error(`  Failed: ${postUrl} - ${error}`);
+  }
+
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,10 +1,11 @@
 /**
  * LinkedIn Lead Generation Pipeline
  *
- * Triggered by Slack messages, this pipeline:
+ * Triggered by Slack messages or the HTTP API, this pipeline:
  * 1. Scrapes LinkedIn post engagers via Apify
- * 2. Enriches profiles with Apollo to get emails
- * 3. Pushes leads to Smartlead campaigns
+ * 2. Enriches profiles through the provider waterfall (Apollo first) to get emails
+ * 3. Pushes leads to Smartlead or Instantly campaigns
+ * Watched posts are re-scraped on a schedule, running only engagers new since the last check.
  */
 
 require('dotenv').config();
@@ -12,97 +13,902 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const SlackService = require('./services/slack');
 const ApifyService = require('./services/apify');
-const ApolloService = require('./services/apollo');
-const SmartleadService = require('./services/smartlead');
+const EnrichmentWaterfall = require('./services/enrichment');
+const DestinationRouter = require('./services/destinations');
+const LeadLedger = require('./services/ledger');
+const JobQueue = require('./services/queue');
+const IcpFilter = require('./services/icp');
+const PreviewCache = require('./services/previews');
+const CreditBudget = require('./services/budget');
+const EmailValidator = require('./services/validation');
+const ProgressCard = require('./services/progress');
+const RunResults = require('./services/results');
+const RunCheckpoints = require('./services/checkpoints');
+const ApiServer = require('./services/api');
+const WatchList = require('./services/watchlist');
+const { EXPORT_FORMATS, buildExportRows, formatExport } = require('./utils/export');
 
 // Initialize services
-let slack, apify, apollo, smartlead;
+let slack, apify, enrichment, destinations, ledger, queue, icp, previews, budget, validator, results, checkpoints, api, watchlist;
 
 /**
  * Initialize all services
+ * @param {Object} options
+ * @param {boolean} options.withSlack - Connect to Slack when SLACK_BOT_TOKEN is set (the CLI never does)
+ * @returns {Object} - The initialized services, by name
  */
-function initializeServices() {
+function initializeServices({ withSlack = true } = {}) {
   logger.info('Initializing services...');
 
   try {
-    slack = new SlackService();
+    // Slack is optional when runs come in through the HTTP API
+    slack = withSlack && process.env.SLACK_BOT_TOKEN ? new SlackService() : null;
     apify = new ApifyService();
-    apollo = new ApolloService();
-    smartlead = new SmartleadService();
+    enrichment = new EnrichmentWaterfall();
+    destinations = new DestinationRouter();
+    ledger = new LeadLedger();
+    queue = new JobQueue();
+    icp = new IcpFilter();
+    previews = new PreviewCache();
+    budget = new CreditBudget();
+    validator = new EmailValidator();
+    results = new RunResults();
+    checkpoints = new RunCheckpoints();
+    api = new ApiServer({ queue, results, apify, slackEnabled: !!slack });
+    watchlist = new WatchList({ queue });
 
     logger.info('All services initialized successfully');
+    return { slack, apify, enrichment, destinations, ledger, queue, icp, previews, budget, validator, results, checkpoints, api, watchlist };
   } catch (error) {
     logger.error('Failed to initialize services', { error: error.message });
     throw error;
   }
 }
 
+// Stages shown on each run's progress card
+const PIPELINE_STAGES = [
+  { key: 'scrape', label: 'Scrape engagers (Apify)' },
+  { key: 'enrich', label: 'Enrich profiles' },
+  { key: 'validate', label: 'Validate emails' },
+  { key: 'filter', label: 'ICP filter' },
+  { key: 'approve', label: 'Approval' },
+  { key: 'push', label: 'Push leads' },
+];
+
 /**
  * Main pipeline handler
- * @param {Object} data - Parsed message data
- * @param {string} data.postUrl - LinkedIn post URL
- * @param {string} threadTs - Slack thread timestamp for replies
+ * Runs without a Slack thread (API and CLI runs) skip the thread messages and decide approval and
+ * budget overruns from the request instead.
+ * @param {Object} job - Queue job: { id, data, thread }
+ * @param {Object} job.data - Parsed message data
+ * @param {Array<string>} data.postUrls - LinkedIn post URLs; their engagers are merged into one run
+ * @param {string} data.destination - Optional destination name (defaults to DEFAULT_DESTINATION)
+ * @param {string} data.campaignId - Optional campaign (defaults to the destination's default campaign)
+ * @param {boolean} data.showRejected - List ICP-rejected leads in the thread
+ * @param {boolean} data.dryRun - Preview leads instead of pushing them
+ * @param {string} data.exportFormat - Export file format: csv (default), json or none
+ * @param {string} data.userId - Slack user, API requester or CLI user (for enrichment budgets)
+ * @param {boolean} data.approve - Pre-approved when the run was requested (API `approve`, CLI `--yes`)
+ * @param {string} data.overBudget - Runs without a Slack thread: truncate, commenters or cancel when over budget
+ * @param {string} data.watchId - Set on watch checks: only engagers the watch hasn't seen are run, and a short
+ *   check summary replaces the progress card and export
+ * @param {Object} job.thread - Slack thread for replies ({ channel, ts }), or null
+ * @param {Function} setStage - Reports the current stage to the job queue
+ * @param {Function} updateJob - Stores progress and stats on the job
+ * @returns {Promise<Object>} - { stats, note, leads } once the run finishes (see finishRun), or with paused: true
+ *   when it stopped to wait for a decision in Slack (see pauseRun)
  */
-async function runPipeline(data, threadTs) {
-  const stats = {
+async function runPipeline(job, setStage = () => {}, updateJob = () => {}) {
+  const { data, thread } = job;
+  const inSlack = !!(slack && thread);
+  // Jobs queued before multi-post runs carry a single postUrl
+  const postUrls = data.postUrls || [data.postUrl];
+
+  // A run that paused for a decision carries on from its checkpoint
+  const checkpoint = checkpoints.get(job.id);
+
+  const stats = checkpoint?.stats || {
     engagers: 0,
+    newEngagers: 0,
+    seenEngagers: 0,
+    memberIdOnly: 0,
     enriched: 0,
+    enrichedByProvider: {},
+    validationRejected: 0,
+    validationDropsByVerdict: {},
+    cacheHits: 0,
+    cacheMisses: 0,
+    cacheBypassed: false,
+    budgetSkipped: 0,
+    icpRejected: 0,
+    icpDropsByRule: {},
+    alreadyPushed: 0,
+    previewed: 0,
     pushed: 0,
     failed: 0,
+    dryRun: !!data.dryRun,
+  };
+
+  // Per-engager results collected for the run export
+  const run = checkpoint?.run || {
+    engagers: [],
+    knownUrls: [],
+    memberIdOnlyUrls: [],
+    budgetSkippedUrls: [],
+    contacts: [],
+    invalid: [],
+    rejected: [],
+    alreadyPushed: [],
+    notApproved: [],
+    pushed: [],
+    pushResult: null,
+    dryRun: stats.dryRun,
   };
 
-  logger.info('Starting pipeline', { postUrl: data.postUrl });
+  let card = null;
+
+  // A watch check skips engagers earlier checks ran
+  const seenUrls = data.watchId ? watchlist.getSeenUrls(data.watchId) : null;
 
   try {
-    // Step 1: Get engagers from LinkedIn post via Apify
-    await slack.sendStatus('Scraping LinkedIn post engagers...', threadTs);
+    if (!checkpoint && data.watchId && !watchlist.get(data.watchId)) {
+      logger.info('Watch was removed before its check ran', { jobId: job.id, watchId: data.watchId });
+      return { stats, note: 'Watch removed', leads: [] };
+    }
 
-    const profileUrls = await apify.getPostEngagers(data.postUrl);
-    stats.engagers = profileUrls.length;
+    // A dry run only reads from its destination (campaign name, already-pushed leads), so it can run without one
+    const destination = data.dryRun && !destinations.isAvailable(data.destination) ? null : destinations.get(data.destination);
+    const campaignId = data.campaignId || destination?.defaultCampaignId || null;
+    stats.destination = destination?.label || null;
+
+    logger.info(checkpoint ? 'Resuming pipeline' : 'Starting pipeline', {
+      postUrls,
+      destination: destination?.name,
+      campaignId,
+      dryRun: stats.dryRun,
+      step: checkpoint?.step,
+    });
+
+    // A dry run can preview without a campaign; one is needed when it's pushed
+    if (!campaignId && !data.dryRun) {
+      throw new Error(`No ${destination.label} campaign: add \`CAMPAIGN: <id>\` to the message or map this channel in the pipeline config`);
+    }
 
-    logger.step('Engagers found', stats.engagers);
+    if (destination && campaignId && !checkpoint) {
+      stats.campaign = await destination.getCampaign(campaignId);
+    }
 
-    if (stats.engagers === 0) {
-      await slack.sendMessage('No engagers found for this post.', threadTs);
-      return;
+    // Watch checks post a short summary instead of a card per check; a resumed run takes over its card
+    card = await createProgressCard(data.watchId ? null : thread, {
+      title: data.dryRun ? '🧪 Dry run' : '🚀 Lead pipeline',
+      subtitle: postUrls.join('\n'),
+      stages: PIPELINE_STAGES,
+    }, stats, updateJob, checkpoint?.card);
+
+    // runSpent counts the run's enrichment lookups, for the per-run budget
+    const context = { job, setStage, stats, run, card, destination, campaignId, runSpent: checkpoint?.runSpent || 0 };
+
+    if (checkpoint?.step === 'budget') {
+      return await (checkpoint.decision
+        ? finishEnrichment(context, checkpoint.scraped, checkpoint.decision)
+        : decideBudget(context, checkpoint.scraped));
+    }
+
+    if (checkpoint?.step === 'approval') {
+      return await (checkpoint.decision
+        ? applyApproval(context, checkpoint.leadsToPush, checkpoint.decision)
+        : askForApproval(context, checkpoint.leadsToPush));
+    }
+
+    // Step 1: Get engagers from the LinkedIn posts via Apify, merged per person. Enrichment (step 2) starts on
+    // each dataset page's new engagers while later pages are still being fetched.
+    setStage('scraping');
+    card.setStage('scrape', 'running');
+
+    // Engagers known only by an internal member ID can't be looked up by any provider; they're reported instead
+    const stream = enrichment.createStream(createEnrichOptions(context));
+    const onEngagers = found => {
+      if (stream.queued === 0) card.setStage('enrich', 'running', 'enriching while scraping');
+      stream.push(found.filter(engager => !engager.memberIdOnly && !seenUrls?.has(engager.profileUrl)));
+    };
+
+    // Apify runs are saved on the job, so a run resumed after a restart collects them instead of starting new ones
+    const apifyRuns = job.apifyRuns || {};
+    const onRunStarted = (key, apifyRun) => {
+      apifyRuns[key] = apifyRun;
+      updateJob({ apifyRuns });
+    };
+
+    let engagers;
+    try {
+      engagers = await apify.getPostsEngagers(postUrls, { onEngagers, runs: apifyRuns, onRunStarted });
+    } catch (error) {
+      await stream.stop();
+      throw error;
     }
 
-    // Step 2: Enrich profiles with Apollo
-    await slack.sendStatus(`Enriching ${stats.engagers} profiles with Apollo...`, threadTs);
+    if (seenUrls) {
+      stats.watch = { check: data.watchCheck, total: engagers.length };
+      engagers = engagers.filter(engager => !seenUrls.has(engager.profileUrl));
+    }
+    stats.engagers = engagers.length;
+    run.engagers = engagers;
+
+    if (postUrls.length > 1) {
+      stats.posts = postUrls.map(postUrl => ({
+        postUrl,
+        engagers: engagers.filter(engager => engager.postUrls.includes(postUrl)).length,
+      }));
+      stats.overlap = engagers.filter(engager => engager.postUrls.length > 1).length;
+    }
 
-    const enrichedContacts = await apollo.enrichProfiles(profileUrls);
-    stats.enriched = enrichedContacts.length;
+    logger.step('Engagers found', stats.engagers, { posts: postUrls.length, overlap: stats.overlap });
 
-    logger.step('Profiles enriched', stats.enriched);
+    const commenters = engagers.filter(engager => engager.engagementTypes.includes('comment')).length;
+    const fromPosts = postUrls.length > 1 ? ` from ${postUrls.length} posts` : '';
+    card.setStage('scrape', 'done', `${stats.engagers} engagers${fromPosts} (${commenters} commenters)`);
 
-    if (stats.enriched === 0) {
-      await slack.sendMessage('No verified emails found from Apollo enrichment.', threadTs);
-      await slack.sendSummary(stats, threadTs);
-      return;
+    if (stats.engagers === 0) {
+      const none = seenUrls ? 'No new engagers since the last check.' : `No engagers found for ${postUrls.length > 1 ? 'these posts' : 'this post'}.`;
+      return await finishRun(stats, run, job, card, none);
     }
 
-    // Step 3: Push to Smartlead
-    await slack.sendStatus(`Pushing ${stats.enriched} leads to Smartlead...`, threadTs);
+    // Track which engagers we've met on earlier posts
+    const { fresh, known } = ledger.partitionProfiles(engagers);
+    stats.newEngagers = fresh.length;
+    stats.seenEngagers = known.length;
 
-    const smartleadResult = await smartlead.addLeads(enrichedContacts);
+    logger.step('Engagers previously seen', stats.seenEngagers);
+    ledger.recordSeen(known);
 
-    stats.pushed = smartleadResult.added;
-    stats.failed = smartleadResult.failed;
+    const enrichable = engagers.filter(engager => !engager.memberIdOnly);
+    run.memberIdOnlyUrls = engagers.filter(engager => engager.memberIdOnly).map(engager => engager.profileUrl);
+    stats.memberIdOnly = run.memberIdOnlyUrls.length;
 
-    logger.step('Leads pushed to Smartlead', stats.pushed);
+    if (stats.memberIdOnly > 0) {
+      logger.step('Engagers with only a member ID', stats.memberIdOnly);
+    }
 
-    // Send final summary
-    await slack.sendSummary(stats, threadTs);
+    if (enrichable.length === 0) {
+      await stream.stop();
+      return await finishRun(stats, run, job, card, 'No engagers with a public profile URL: LinkedIn only returned member IDs.');
+    }
 
-    logger.info('Pipeline completed successfully', stats);
+    // Step 2: Finish the streamed enrichment, reusing cached results unless the message opted out. Engagers the
+    // stream deferred because they'd go over the budget get the over-budget decision now.
+    setStage('enriching');
+    if (stream.queued === 0) card.setStage('enrich', 'running', `0/${enrichable.length}`);
+
+    const streamed = await stream.finish();
+    return await decideBudget(context, { enrichable, streamed });
 
   } catch (error) {
     logger.error('Pipeline failed', { error: error.message, stack: error.stack });
-    await slack.sendError(`Pipeline failed: ${error.message}`, threadTs);
+    checkpoints.delete(job.id);
+
+    if (card) {
+      await card.fail(`Pipeline failed: ${error.message}`);
+    }
+    // Runs without a card in the thread (not started yet, or a watch check) report the error there directly
+    if (inSlack && !card?.message) {
+      const label = data.watchId ? `Watch check ${data.watchCheck} failed` : 'Pipeline failed';
+      await slack.sendError(`${label}: ${error.message}`, thread);
+    }
     throw error;
   }
 }
 
+/**
+ * Step 2, once the budget is settled: enrich what the stream deferred, then validate, filter and dedupe the leads
+ * and go on to approval (step 3)
+ * @param {Object} context - The run: { job, setStage, stats, run, card, destination, campaignId, runSpent }
+ * @param {Object} scraped - { enrichable, streamed }: engagers with a public profile URL and EnrichmentStream.finish()'s result
+ * @param {Object} budgetDecision - How to handle the deferred engagers (see decideBudget), or null to enrich them all
+ * @returns {Promise<Object>} - See runPipeline
+ */
+async function finishEnrichment(context, { enrichable, streamed }, budgetDecision) {
+  const { job, setStage, stats, run, card, destination, campaignId } = context;
+  const { data, thread } = job;
+  const inSlack = !!(slack && thread);
+  const postUrls = data.postUrls || [data.postUrl];
+  const { deferred } = streamed;
+
+  // Again for a run resumed after the budget decision, which comes back queued
+  setStage('enriching');
+  const decided = budgetDecision ? applyBudgetDecision(deferred, budgetDecision, context) : deferred;
+
+  // Cancelling still keeps what was enriched while scraping: those lookups are already paid for
+  if (!decided && streamed.streamed.length === 0) {
+    run.budgetSkippedUrls = deferred.map(engager => engager.profileUrl);
+    return await finishRun(stats, run, job, card, `Cancelled: enriching ${postUrls.length > 1 ? 'these posts' : 'this post'} would go over the credit budget.`);
+  }
+
+  const rest = decided?.length > 0
+    ? await enrichment.enrichProfiles(decided, createEnrichOptions(context))
+    : { contacts: [], cachedUrls: [], skippedUrls: [], byProvider: {} };
+
+  const toEnrich = [...streamed.streamed, ...(decided || [])];
+  const enrichedContacts = [...streamed.contacts, ...rest.contacts];
+  const cachedUrls = [...streamed.cachedUrls, ...rest.cachedUrls];
+  const skippedUrls = [...streamed.skippedUrls, ...rest.skippedUrls];
+  const byProvider = { ...streamed.byProvider };
+  for (const [provider, count] of Object.entries(rest.byProvider)) {
+    byProvider[provider] = (byProvider[provider] || 0) + count;
+  }
+
+  // Engagers the budget kept away from the providers: left out up front or cut off mid-run
+  const enrichedSet = new Set(toEnrich.map(engager => engager.profileUrl));
+  const budgetSkippedUrls = [
+    ...enrichable.filter(engager => !enrichedSet.has(engager.profileUrl)).map(engager => engager.profileUrl),
+    ...skippedUrls,
+  ];
+
+  // Only profiles actually sent to a provider: cache hits and budget cut-offs weren't looked up
+  const notLookedUp = new Set([...cachedUrls, ...skippedUrls]);
+  const lookedUp = toEnrich.filter(engager => !notLookedUp.has(engager.profileUrl));
+  ledger.recordEnrichment(lookedUp, enrichedContacts);
+
+  stats.enriched = enrichedContacts.length;
+  stats.enrichedByProvider = byProvider;
+  stats.cacheBypassed = !!data.bypassCache;
+  stats.cacheHits = cachedUrls.length;
+  stats.cacheMisses = stats.cacheBypassed ? 0 : lookedUp.length;
+  stats.budgetSkipped = budgetSkippedUrls.length;
+  run.knownUrls = cachedUrls;
+  run.budgetSkippedUrls = budgetSkippedUrls;
+  run.contacts = enrichedContacts;
+
+  for (const post of stats.posts || []) {
+    post.emails = enrichedContacts.filter(contact => contact.engager.postUrls.includes(post.postUrl)).length;
+  }
+
+  logger.step('Profiles enriched', stats.enriched, {
+    cacheHits: stats.cacheHits,
+    cacheMisses: stats.cacheMisses,
+    cacheBypassed: stats.cacheBypassed,
+    byProvider,
+  });
+
+  const cachedNote = stats.cacheHits > 0 ? ` · ${stats.cacheHits} from cache` : '';
+  card.setStage('enrich', 'done', `${stats.enriched} verified emails from ${stats.engagers} engagers${cachedNote}`);
+
+  if (stats.enriched === 0) {
+    return await finishRun(stats, run, job, card, 'No verified emails found by any enrichment provider.');
+  }
+
+  // Check addresses offline; the validation policy decides which verdicts go on
+  card.setStage('validate', 'running');
+
+  const { passed: validContacts, rejected: invalid, dropsByVerdict } = await validator.filter(enrichedContacts);
+  stats.validationRejected = invalid.length;
+  stats.validationDropsByVerdict = dropsByVerdict;
+  run.contacts = [...validContacts, ...invalid.map(({ contact }) => contact)];
+  run.invalid = invalid;
+
+  card.setStage('validate', 'done', `${validContacts.length} passed, ${invalid.length} rejected`);
+
+  if (validContacts.length === 0) {
+    return await finishRun(stats, run, job, card, 'No emails passed validation.');
+  }
+
+  // Drop leads outside our ICP before they reach a campaign
+  let qualifiedContacts = validContacts;
+  if (icp.isEnabled()) {
+    const { qualified, rejected, dropsByRule } = icp.filter(validContacts);
+    qualifiedContacts = qualified;
+    stats.icpRejected = rejected.length;
+    stats.icpDropsByRule = dropsByRule;
+    run.rejected = rejected;
+
+    card.setStage('filter', 'done', `${qualified.length} qualified, ${rejected.length} rejected`);
+
+    if (data.showRejected && inSlack) {
+      await slack.sendRejected(rejected, thread);
+    }
+  } else {
+    card.setStage('filter', 'skipped', 'no rules configured');
+  }
+
+  if (qualifiedContacts.length === 0) {
+    return await finishRun(stats, run, job, card, 'No leads passed the ICP filter.');
+  }
+
+  // Don't push emails the destination already accepted into this campaign on a previous run
+  const ledgerKey = destination && campaignId && destination.getLedgerKey(campaignId);
+  const leadsToPush = qualifiedContacts.filter(contact => !ledgerKey || !ledger.isPushed(contact.email, ledgerKey));
+  run.alreadyPushed = qualifiedContacts.filter(contact => !leadsToPush.includes(contact));
+  stats.alreadyPushed = run.alreadyPushed.length;
+
+  if (leadsToPush.length === 0) {
+    return await finishRun(stats, run, job, card, `All qualified leads were already pushed to campaign ${stats.campaign.name}.`);
+  }
+
+  // Dry run: cache the would-be leads for a later "push" reply instead of pushing
+  if (data.dryRun) {
+    stats.previewed = leadsToPush.length;
+
+    if (inSlack) {
+      // A dry-run watch posts every check in one thread, so a "push" there sends all of their leads
+      const preview = { leads: leadsToPush, destination: destination?.name, campaignId, postUrls, stats };
+      if (data.watchId) {
+        previews.merge(thread, preview);
+      } else {
+        previews.save(thread, preview);
+      }
+      await slack.sendPreview(leadsToPush, thread);
+    }
+
+    const result = await finishRun(stats, run, job, card);
+
+    logger.info('Dry run completed', stats);
+    return result;
+  }
+
+  // Step 3: Ask a human to approve the push; the run pauses until they decide
+  const approvalRequired = slack ? slack.approval.required : process.env.REQUIRE_APPROVAL !== 'false';
+
+  if (data.approve) {
+    stats.approval = { decision: 'approved', userId: null, approvedCount: leadsToPush.length, preset: true };
+    card.setStage('approve', 'done', 'pre-approved when the run was requested');
+  } else if (approvalRequired) {
+    if (!inSlack) {
+      throw new Error('Approval is required but this run has no Slack thread to ask in');
+    }
+
+    return await askForApproval(context, leadsToPush);
+  } else {
+    card.setStage('approve', 'skipped', 'not required');
+  }
+
+  return await pushApproved(context, leadsToPush);
+}
+
+/**
+ * Post the approval buttons in the run's thread and pause the run until someone decides
+ * @param {Object} context - The run (see finishEnrichment)
+ * @param {Array<Object>} leadsToPush - Leads waiting for approval
+ * @returns {Promise<Object>} - See pauseRun
+ */
+async function askForApproval(context, leadsToPush) {
+  const { job, stats, card } = context;
+  card.setStage('approve', 'running', 'waiting for a decision');
+
+  return pauseRun(context, 'awaiting_approval', { step: 'approval', leadsToPush },
+    () => slack.requestApproval(leadsToPush, job.thread, stats.campaign, job.id));
+}
+
+/**
+ * Carry on with a paused run once its approval is decided
+ * @param {Object} context - The run (see finishEnrichment)
+ * @param {Array<Object>} leadsToPush - Leads that were up for approval
+ * @param {Object} approval - { decision, leads, userId, decidedAt, timedOut } from SlackService.resolveApproval
+ * @returns {Promise<Object>} - { stats, note, leads } (see finishRun)
+ */
+async function applyApproval(context, leadsToPush, { leads, ...approval }) {
+  const { job, stats, run, card } = context;
+  stats.approval = { ...approval, approvedCount: leads.length };
+
+  // The approved leads are copies saved with the approval message, so they're matched by email
+  const approvedEmails = new Set(leads.map(lead => lead.email));
+  const approvedLeads = leadsToPush.filter(lead => approvedEmails.has(lead.email));
+  run.notApproved = leadsToPush.filter(lead => !approvedEmails.has(lead.email));
+
+  card.setStage('approve', approvedLeads.length > 0 ? 'done' : 'skipped', slack.formatApproval(stats.approval));
+
+  if (approvedLeads.length === 0) {
+    return finishRun(stats, run, job, card);
+  }
+
+  return pushApproved(context, approvedLeads);
+}
+
+/**
+ * Step 4: push the approved leads and finish the run
+ * @param {Object} context - The run (see finishEnrichment)
+ * @param {Array<Object>} approvedLeads - Leads to push
+ * @returns {Promise<Object>} - { stats, note, leads } (see finishRun)
+ */
+async function pushApproved({ job, setStage, stats, run, card, destination, campaignId }, approvedLeads) {
+  setStage('pushing');
+  run.pushed = approvedLeads;
+  run.pushResult = await pushLeads(approvedLeads, destination, campaignId, stats, card);
+
+  // Send final summary
+  const result = await finishRun(stats, run, job, card);
+
+  logger.info('Pipeline completed successfully', stats);
+  return result;
+}
+
+/**
+ * Pause a run until a decision comes in from Slack, so it doesn't hold a worker slot while it waits
+ * What the rest of the run needs is saved as a checkpoint; handleDecision queues the job again once the
+ * decision is in, and runPipeline carries on from the checkpoint.
+ * @param {Object} context - The run (see finishEnrichment)
+ * @param {string} jobState - Queue state while waiting: awaiting_budget or awaiting_approval
+ * @param {Object} checkpoint - { step, ...what that step needs }
+ * @param {Function} request - async () => posts the question in the thread
+ * @returns {Promise<Object>} - { stats, note, leads, paused: true }
+ */
+async function pauseRun({ job, setStage, stats, run, card, runSpent }, jobState, checkpoint, request) {
+  checkpoints.save(job.id, { ...checkpoint, stats, run, runSpent, card: { snapshot: card.getSnapshot(), message: card.message } });
+
+  // Waiting before the question goes out, so a decision never finds the job still running
+  setStage(jobState);
+  await request();
+  await card.pause();
+
+  logger.info('Pipeline paused for a decision', { jobId: job.id, step: checkpoint.step });
+  return { stats, note: 'Waiting for a decision in Slack', leads: [], paused: true };
+}
+
+/**
+ * Check the engagers the stream deferred against the budgets, then finish enrichment
+ * Over budget, the thread chooses to truncate, enrich commenters only, or cancel, and the run pauses until it
+ * does; runs without a thread use the request's `overBudget` choice (cancel by default).
+ * @param {Object} context - The run (see finishEnrichment)
+ * @param {Object} scraped - { enrichable, streamed } (see finishEnrichment)
+ * @returns {Promise<Object>} - See runPipeline
+ */
+async function decideBudget(context, scraped) {
+  const { job, stats, card } = context;
+  const { data, thread } = job;
+  const { deferred } = scraped.streamed;
+
+  if (deferred.length === 0 || !budget.isEnabled()) {
+    return finishEnrichment(context, scraped, null);
+  }
+
+  const { uncached } = enrichment.partitionCached(deferred, { bypassCache: !!data.bypassCache });
+  const { allowance, limitedBy } = budget.check(data.userId, context.runSpent);
+
+  if (uncached.length <= allowance) {
+    return finishEnrichment(context, scraped, null);
+  }
+
+  const commenterLookups = uncached.filter(isCommenter).length;
+
+  logger.warn('Run would exceed enrichment budget', { lookups: uncached.length, allowance, limitedBy });
+  card.setStage('enrich', 'running', `over budget (${uncached.length} lookups, ${allowance} allowed) - waiting for a decision`);
+
+  if (!slack || !thread) {
+    return finishEnrichment(context, scraped, { choice: data.overBudget || 'cancel', userId: null, timedOut: false, preset: true });
+  }
+
+  return pauseRun(context, 'awaiting_budget', { step: 'budget', scraped },
+    () => slack.requestBudgetDecision(thread, { lookups: uncached.length, commenterLookups, allowance, limitedBy }, job.id));
+}
+
+/**
+ * Apply an over-budget decision to the engagers the stream deferred
+ * @param {Array<Object>} engagers - Engager records still to enrich
+ * @param {Object} decision - { choice, userId, timedOut, preset }
+ * @param {Object} context - The run (see finishEnrichment); its stats record the decision
+ * @returns {Array<Object>|null} - Engagers to enrich, or null if the run was cancelled
+ */
+function applyBudgetDecision(engagers, decision, { job, stats, card }) {
+  stats.budgetDecision = decision;
+
+  if (decision.choice === 'cancel') {
+    card.setStage('enrich', 'skipped', 'cancelled (over budget)');
+    return null;
+  }
+
+  if (decision.choice === 'commenters') {
+    // Cached results are free, so non-commenters with one are kept
+    const { uncached } = enrichment.partitionCached(engagers, { bypassCache: !!job.data.bypassCache });
+    const lookups = new Set(uncached.map(engager => engager.profileUrl));
+    return engagers.filter(engager => isCommenter(engager) || !lookups.has(engager.profileUrl));
+  }
+
+  // Truncate: the budget runs out during enrichment, so spend it on commenters first
+  return [...engagers.filter(isCommenter), ...engagers.filter(engager => !isCommenter(engager))];
+}
+
+function isCommenter(engager) {
+  return engager.engagementTypes.includes('comment');
+}
+
+/**
+ * Enrichment options for a run: its budget, lookup spend and progress on the card
+ * @param {Object} context - The run (see finishEnrichment); runSpent is kept up to date
+ * @returns {Object} - Options for EnrichmentWaterfall.enrichProfiles / createStream
+ */
+function createEnrichOptions(context) {
+  const { job: { data }, card } = context;
+
+  return {
+    bypassCache: !!data.bypassCache,
+    getAllowance: () => budget.getAllowance(data.userId, context.runSpent),
+    onLookups: count => {
+      context.runSpent += count;
+      budget.recordSpend(data.userId, count);
+    },
+    onProgress: ({ provider, processed, total, hits, misses, cacheHits }) => {
+      const cached = cacheHits > 0 ? ` · ${cacheHits} cached` : '';
+      card.setDetail('enrich', `${provider}: ${processed}/${total} · ${hits} hits · ${misses} misses${cached}`);
+    },
+  };
+}
+
+/**
+ * Push leads to a destination campaign and record the outcome
+ * @param {Array<Object>} leads - Enriched contacts to push
+ * @param {Destination} destination - Where the leads go
+ * @param {string} campaignId - Campaign ID in that destination
+ * @param {Object} stats - Pipeline statistics, updated with pushed/failed counts
+ * @param {ProgressCard} card - Progress card with a 'push' stage
+ * @returns {Promise<Object>} - Normalized result from Destination.addLeads
+ */
+async function pushLeads(leads, destination, campaignId, stats, card) {
+  card.setStage('push', 'running', `pushing ${leads.length} leads to ${destination.label} campaign ${stats.campaign.name}`);
+
+  const result = await destination.addLeads(leads, campaignId);
+  ledger.recordPush(leads, destination.getLedgerKey(campaignId), result);
+
+  stats.pushed = result.added;
+  stats.failed = result.failed;
+
+  logger.step(`Leads pushed to ${destination.label}`, stats.pushed);
+
+  const failed = stats.failed > 0 ? `, ${stats.failed} failed` : '';
+  card.setStage('push', 'done', `${stats.pushed} added to ${stats.campaign.name}${failed}`);
+
+  return result;
+}
+
+/**
+ * Start a run's progress card, posted in the Slack thread when there is one
+ * Every update is mirrored onto the job (with the current stats) for the HTTP API.
+ * @param {Object} thread - Slack thread, or null
+ * @param {Object} options - { title, subtitle, stages } (see ProgressCard)
+ * @param {Object} stats - Pipeline statistics
+ * @param {Function} updateJob - Stores fields on the job
+ * @param {Object} saved - { snapshot, message } of the card a paused run posted, to take over instead of posting one
+ * @returns {Promise<ProgressCard>}
+ */
+async function createProgressCard(thread, options, stats, updateJob, saved = null) {
+  const onUpdate = progress => updateJob({ progress, stats: { ...stats } });
+
+  if (saved) {
+    return new ProgressCard(slack && thread ? slack : null, thread, { ...options, onUpdate }).resume(saved.snapshot, saved.message);
+  }
+  if (slack && thread) {
+    return slack.createProgressCard(thread, { ...options, onUpdate });
+  }
+  return new ProgressCard(null, null, { ...options, onUpdate }).start();
+}
+
+/**
+ * Show the final summary on the progress card, keep the per-engager results for the API
+ * and upload them as an export to the thread
+ * @param {Object} stats - Pipeline statistics
+ * @param {Object} run - Per-engager results (see buildExportRows)
+ * @param {Object} job - Queue job: { id, data }
+ * @param {ProgressCard} card - The run's progress card
+ * @param {string} note - Optional note on why the run stopped early
+ * @returns {Promise<Object>} - { stats, note, leads } where leads are the export rows
+ */
+async function finishRun(stats, run, job, card, note = null) {
+  const { data } = job;
+  const rows = buildExportRows(run);
+  const result = { stats, note, leads: rows };
+
+  checkpoints.delete(job.id);
+
+  stats.budget = budget.getDailyStatus();
+  results.save(job.id, rows);
+  await card.complete(slack ? slack.formatSummary(stats, note) : note);
+
+  if (data.watchId) {
+    // Engagers whose leads weren't approved (rejected or timed out) or that the budget kept out stay unseen,
+    // so the next check offers them again instead of dropping them for good
+    const held = new Set([...run.budgetSkippedUrls, ...run.notApproved.map(contact => contact.engager.profileUrl)]);
+    const seen = run.engagers.map(engager => engager.profileUrl).filter(url => !held.has(url));
+    const watch = watchlist.completeCheck(data.watchId, seen);
+
+    if (watch && slack && job.thread) {
+      await slack.sendMessage(slack.formatWatchSummary(stats, note, watch), job.thread)
+        .catch(error => logger.warn('Failed to post watch summary', { watchId: data.watchId, error: error.message }));
+    }
+    return result;
+  }
+
+  if (!card.message || data.exportFormat === 'none' || rows.length === 0) return result;
+  const format = EXPORT_FORMATS.includes(data.exportFormat) ? data.exportFormat : 'csv';
+
+  // The export is a convenience - a failed upload shouldn't fail the run
+  try {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    await slack.uploadFile(
+      formatExport(rows, format),
+      `leads-${timestamp}.${format}`,
+      card.thread,
+      `📎 Export of all ${rows.length} engagers`
+    );
+  } catch (error) {
+    logger.warn('Failed to upload run export', { error: error.message });
+  }
+
+  return result;
+}
+
+/**
+ * Push a cached dry-run preview after someone replies "push" in its thread
+ * @param {Object} thread - Slack thread the dry run replied in
+ * @param {string} userId - Slack user who asked for the push
+ */
+async function pushPreview(thread, userId) {
+  const preview = previews.get(thread);
+
+  if (!preview) {
+    await slack.sendMessage('No dry-run preview to push in this thread (it may have expired or already been pushed).', thread);
+    return;
+  }
+
+  const destination = destinations.get(preview.destination);
+  const campaignId = preview.campaignId || destination.defaultCampaignId;
+  if (!campaignId) {
+    throw new Error(`No ${destination.label} campaign for this preview: map this channel in the pipeline config or set a default campaign`);
+  }
+
+  // Leads may have been pushed by another run since the preview was taken
+  const ledgerKey = destination.getLedgerKey(campaignId);
+  const leadsToPush = preview.leads.filter(lead => !ledger.isPushed(lead.email, ledgerKey));
+
+  // Summary reports the dry run's scrape/enrich counts alongside the push outcome
+  const stats = {
+    ...preview.stats,
+    dryRun: false,
+    previewed: 0,
+    alreadyPushed: preview.stats.alreadyPushed + preview.leads.length - leadsToPush.length,
+    destination: destination.label,
+    campaign: await destination.getCampaign(campaignId),
+  };
+
+  logger.info('Pushing dry-run preview', { thread, userId, leads: leadsToPush.length, destination: destination.name, campaignId });
+
+  const card = await slack.createProgressCard(thread, {
+    title: '📤 Pushing previewed leads',
+    subtitle: (preview.postUrls || [preview.postUrl]).join('\n'),
+    stages: PIPELINE_STAGES.filter(stage => stage.key === 'push'),
+  });
+
+  try {
+    if (leadsToPush.length > 0) {
+      await pushLeads(leadsToPush, destination, campaignId, stats, card);
+    }
+
+    previews.delete(thread);
+    stats.budget = budget.getDailyStatus();
+    await card.complete(slack.formatSummary(stats, `Pushed at <@${userId}>'s request.`));
+  } catch (error) {
+    logger.error('Preview push failed', { error: error.message });
+    await card.fail(`Push failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a command replied inside a pipeline thread
+ * @param {string} command - Command from SlackService.parseThreadCommand
+ * @param {Object} thread - Slack thread the command was sent in
+ * @param {string} userId - Slack user who sent it
+ */
+async function handleThreadCommand(command, thread, userId) {
+  if (command === 'push') {
+    await pushPreview(thread, userId);
+  }
+}
+
+/**
+ * Handle a watchlist command (see SlackService.parseWatchCommand)
+ * @param {Object} command - Parsed command
+ * @param {Object} thread - Slack thread the command was sent in; a new watch replies there
+ * @param {string} userId - Slack user who sent it
+ */
+async function handleWatchCommand(command, thread, userId) {
+  if (command.command === 'list') {
+    await slack.sendMessage(slack.formatWatchList(watchlist.list(thread.channel)), thread);
+    return;
+  }
+
+  if (command.command === 'unwatch') {
+    const removed = watchlist.remove({ channel: thread.channel, postUrls: command.postUrls, threadTs: thread.ts });
+    const posts = removed.flatMap(watch => watch.postUrls).map(url => `• ${url}`).join('\n');
+
+    await slack.sendMessage(removed.length > 0
+      ? `🛑 Stopped watching:\n${posts}`
+      : 'No watch found: reply `unwatch` in a watch\'s thread, or add the post\'s link.', thread);
+    return;
+  }
+
+  const { postUrls, unparsedUrls, durationMs, intervalMs, options } = command;
+
+  if (postUrls.length === 0) {
+    const skipped = unparsedUrls.length > 0 ? ` (not a post: ${unparsedUrls.join(', ')})` : '';
+    throw new Error(`Add the post to watch: \`watch <post URL> for 7 days every 12h\`${skipped}`);
+  }
+
+  // Checks push on their own, so the destination and campaign have to work now rather than at the first check
+  if (!options.dryRun) {
+    const destination = destinations.get(options.destination);
+    const campaignId = options.campaignId || destination.defaultCampaignId;
+
+    if (!campaignId) {
+      throw new Error(`No ${destination.label} campaign to push to: add \`CAMPAIGN: <id>\` to the watch command, map this channel in the pipeline config, or add \`DRYRUN\``);
+    }
+
+    await destination.getCampaign(campaignId);
+  }
+
+  const { watch, updated } = watchlist.add({ postUrls, data: options, thread, durationMs, intervalMs });
+  logger.info('Watch requested', { watchId: watch.id, userId, updated });
+
+  // A rescheduled watch keeps replying in its original thread
+  await slack.sendMessage(slack.formatWatchStarted(watch, updated), updated ? watch.thread : thread);
+
+  // Queue the first check now rather than on the scheduler's next tick
+  watchlist.tick();
+}
+
+/**
+ * Queue a paused run again once the decision it was waiting for is in (see pauseRun)
+ * @param {string} jobId - Job the decision is for
+ * @param {Object} decision - Outcome from SlackService
+ */
+async function handleDecision(jobId, decision) {
+  if (!checkpoints.decide(jobId, decision)) {
+    logger.warn('Decision for a run that is not paused', { jobId });
+    return;
+  }
+
+  const job = queue.resume(jobId);
+  if (!job) {
+    logger.warn('Decision for a job that is not waiting on one', { jobId });
+    return;
+  }
+
+  const position = queue.getPosition(jobId);
+  if (position > 0 && job.thread) {
+    await slack.sendStatus(`Queued at position ${position} - will carry on when a running job finishes`, job.thread);
+  }
+}
+
+/**
+ * Queue a pipeline run and tell the Slack thread where it sits
+ * @param {Object} data - Parsed message data
+ * @param {Object} thread - Slack thread for replies, or null
+ * @returns {Promise<Object>} - { job, position }
+ */
+async function enqueuePipeline(data, thread) {
+  const queued = queue.enqueue(data, thread);
+
+  if (queued.position > 0 && thread) {
+    await slack.sendStatus(`Queued at position ${queued.position} - will start when a running job finishes`, thread);
+  }
+
+  return queued;
+}
+
+/**
+ * Queue a run requested through the HTTP API
+ * With Slack notifications on, the run gets its own thread: progress card, approval and export land there.
+ * @param {Object} data - Run options from ApiServer.createRun
+ * @param {Object} options - { notifySlack, slackChannel } (channel defaults to SLACK_CHANNEL_ID)
+ * @returns {Promise<Object>} - { job, position }
+ */
+async function enqueueApiRun(data, { notifySlack, slackChannel }) {
+  let thread = null;
+
+  if (notifySlack) {
+    const response = await slack.sendMessage(`🔌 Run requested via API: ${data.postUrls.join(' ')}`, slackChannel ? { channel: slackChannel } : null);
+    thread = { channel: response.channel, ts: response.ts };
+  }
+
+  return enqueuePipeline(data, thread);
+}
+
 /**
  * Main entry point
  */
@@ -111,15 +917,10 @@ async function main() {
   logger.info('LinkedIn Lead Generation Pipeline');
   logger.info('='.repeat(50));
 
-  // Validate required environment variables
+  // Validate required environment variables (Slack's are checked by SlackService when SLACK_BOT_TOKEN is set)
   const requiredEnvVars = [
-    'SLACK_BOT_TOKEN',
-    'SLACK_SIGNING_SECRET',
-    'SLACK_CHANNEL_ID',
     'APIFY_API_TOKEN',
     'APOLLO_API_KEY',
-    'SMARTLEAD_API_KEY',
-    'SMARTLEAD_CAMPAIGN_ID',
   ];
 
   const missingVars = requiredEnvVars.filter(v => !process.env[v]);
@@ -129,26 +930,64 @@ async function main() {
     process.exit(1);
   }
 
+  if (!process.env.SLACK_BOT_TOKEN && !process.env.API_TOKEN) {
+    logger.error('Nothing can trigger runs: set SLACK_BOT_TOKEN for Slack, API_TOKEN for the HTTP API, or both');
+    process.exit(1);
+  }
+
   // Initialize services
   initializeServices();
 
+  // Fail at boot rather than on the first run when no destination has an API key
+  destinations.get();
+
+  // Before resuming jobs, so reattached Apify runs are woken by their webhooks too
+  apify.enableWebhooks();
+
+  // Start processing queued jobs, resuming any interrupted by a restart
+  const resumedJobs = queue.start(runPipeline);
+
+  // Queue checks of watched posts as they come due
+  watchlist.start(watch => slack && slack.sendMessage(
+    `👀 Finished watching after ${watch.checks} checks: ${watch.seenUrls.length} engagers in total.`,
+    watch.thread
+  ));
+
+  // Health check and HTTP API
+  await api.start(enqueueApiRun);
+
+  if (!slack) {
+    logger.info('Slack is not configured (SLACK_BOT_TOKEN unset) - runs come in through the HTTP API only');
+    return;
+  }
+
   // Start Slack app and listen for messages
-  await slack.start(runPipeline);
+  await slack.start(enqueuePipeline, handleThreadCommand, handleWatchCommand, handleDecision);
+
+  for (const job of resumedJobs.filter(job => job.thread)) {
+    await slack.sendStatus('Resuming this run after a restart...', job.thread)
+      .catch(error => logger.warn('Failed to notify resumed job', { jobId: job.id, error: error.message }));
+  }
 }
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught exception', { error: error.message, stack: error.stack });
-  process.exit(1);
-});
+// The CLI (src/cli.js) reuses the pipeline without starting the server
+module.exports = { initializeServices, runPipeline, PIPELINE_STAGES };
 
-process.on('unhandledRejection', (reason) => {
-  logger.error('Unhandled rejection', { reason: reason?.message || reason });
-  process.exit(1);
-});
+if (require.main === module) {
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', { error: error.message, stack: error.stack });
+    process.exit(1);
+  });
 
-// Start the application
-main().catch((error) => {
-  logger.error('Failed to start application', { error: error.message });
-  process.exit(1);
-});
+  // Don't exit on stray rejections - that would take every queued and in-flight job down with it
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { reason: reason?.message || reason, stack: reason?.stack });
+  });
+
+  // Start the application
+  main().catch((error) => {
+    logger.error('Failed to start application', { error: error.message });
+    process.exit(1);
+  });
+}
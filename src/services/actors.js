@@ -0,0 +1,307 @@
+/**
+ * Apify actor adapters for scraping LinkedIn post engagers
+ *
+ * Each adapter declares the input its actor expects and maps the actor's dataset items to engagements:
+ * { type, person, reactionType, comment, postRefs }
+ * - type: 'reaction', 'comment' or 'author'
+ * - person: { profileUrl, memberId, memberIdOnly, name, headline } from extractPerson
+ * - postRefs: the item's URLs/URNs naming the post it belongs to
+ * mapItem returns null for an item it doesn't recognise; a run where no item is recognised is a schema mismatch.
+ */
+
+const { getConfig } = require('../utils/config');
+const { parseProfileRef, resolveProfile } = require('../utils/profile-identity');
+
+// Dataset fields an actor may use to say which post an item came from
+const POST_REFERENCE_FIELDS = ['inputUrl', 'input', 'postUrl', 'post_url', 'url', 'urn', 'activityUrn', 'shareUrn'];
+
+/**
+ * An actor's output has none of the fields its adapter maps
+ */
+class ActorSchemaError extends Error {
+  /**
+   * @param {ActorAdapter} adapter - Adapter whose schema didn't match
+   * @param {Array<Object>} items - Sample of the items returned (fields are listed from the first few)
+   * @param {number} count - How many items the actor returned in total
+   */
+  constructor(adapter, items, count = items.length) {
+    const fields = [...new Set(items.slice(0, 5).flatMap(item => Object.keys(item || {})))].slice(0, 15);
+
+    super(`Apify actor ${adapter.actorId} returned ${count} items, but none match the ${adapter.name} adapter's `
+      + `output schema (fields seen: ${fields.join(', ') || 'none'}). Check that ${adapter.envVar} names a ${adapter.description}.`);
+
+    this.name = 'ActorSchemaError';
+    this.actorId = adapter.actorId;
+    this.adapter = adapter.name;
+  }
+}
+
+class ActorAdapter {
+  /**
+   * @param {string} name - Adapter name in the registry
+   * @param {Object} options
+   * @param {string} options.actorId - Apify actor to run
+   * @param {string} options.envVar - Env var that overrides the actor (for error messages)
+   * @param {string} options.description - What kind of actor the adapter expects (for error messages)
+   * @param {Object} options.input - Extra actor input from the pipeline config (e.g. cookies)
+   */
+  constructor(name, { actorId, envVar, description, input = {} }) {
+    this.name = name;
+    this.actorId = actorId;
+    this.envVar = envVar;
+    this.description = description;
+    this.extraInput = input;
+  }
+
+  /**
+   * @param {Array<string>} postUrls - Posts to scrape
+   * @returns {Object} - Actor input
+   */
+  buildInput(postUrls) {
+    throw new Error(`${this.name} adapter must implement buildInput()`);
+  }
+
+  /**
+   * @param {Object} item - Dataset item
+   * @returns {Array<Object>|null} - Engagements, or null if the item isn't in this actor's schema
+   */
+  mapItem(item) {
+    throw new Error(`${this.name} adapter must implement mapItem()`);
+  }
+
+  getPostRefs(item) {
+    return POST_REFERENCE_FIELDS.map(field => item[field]).filter(value => typeof value === 'string');
+  }
+}
+
+/**
+ * supreme_coder/linkedin-post: one item per post, with reactions and comments nested in it
+ */
+class LinkedInPostActor extends ActorAdapter {
+  buildInput(postUrls) {
+    return { ...this.extraInput, urls: postUrls };
+  }
+
+  mapItem(post) {
+    const reactions = firstArray(post, ['reactions', 'likers', 'likes']);
+    const comments = firstArray(post, ['comments', 'commenters']);
+    // Mixed list: comments carry text, reactions don't
+    const engagements = firstArray(post, ['engagements', 'engagement']);
+
+    if (!reactions && !comments && !engagements && !post.authorProfileUrl) return null;
+
+    const postRefs = this.getPostRefs(post);
+    const author = resolveProfile([post.authorProfileUrl]);
+
+    return [
+      ...(author ? [{
+        type: 'author',
+        person: { ...author, name: post.authorName || null, headline: post.authorHeadline || null },
+        postRefs,
+      }] : []),
+      ...(reactions || []).map(reaction => ({
+        type: 'reaction',
+        person: extractPerson(reaction),
+        reactionType: extractReactionType(reaction),
+        postRefs,
+      })),
+      ...(comments || []).map(comment => ({
+        type: 'comment',
+        person: extractPerson(comment),
+        comment: extractCommentText(comment),
+        postRefs,
+      })),
+      ...(engagements || []).map(engagement => {
+        const comment = extractCommentText(engagement);
+        return {
+          type: comment ? 'comment' : 'reaction',
+          person: extractPerson(engagement),
+          comment,
+          reactionType: extractReactionType(engagement),
+          postRefs,
+        };
+      }),
+    ];
+  }
+}
+
+/**
+ * curious_coder/linkedin-post-reactions-scraper: one item per reaction
+ */
+class PostReactionsActor extends ActorAdapter {
+  buildInput(postUrls) {
+    return { ...this.extraInput, post_urls: postUrls };
+  }
+
+  mapItem(item) {
+    const person = extractPerson(item);
+    if (!person) return null;
+
+    return [{ type: 'reaction', person, reactionType: extractReactionType(item), postRefs: this.getPostRefs(item) }];
+  }
+}
+
+/**
+ * curious_coder/linkedin-post-comments-scraper: one item per comment
+ */
+class PostCommentsActor extends ActorAdapter {
+  buildInput(postUrls) {
+    return { ...this.extraInput, post_urls: postUrls };
+  }
+
+  mapItem(item) {
+    const person = extractPerson(item);
+    if (!person) return null;
+
+    return [{ type: 'comment', person, comment: extractCommentText(item), postRefs: this.getPostRefs(item) }];
+  }
+}
+
+// Adapters by name, with their default actor and the env var that overrides it
+const ADAPTERS = {
+  'linkedin-post': {
+    Adapter: LinkedInPostActor,
+    defaultActorId: 'supreme_coder/linkedin-post',
+    envVar: 'APIFY_LINKEDIN_ACTOR_ID',
+    description: 'combined post actor (one item per post with reactions and comments)',
+  },
+  reactions: {
+    Adapter: PostReactionsActor,
+    defaultActorId: 'curious_coder/linkedin-post-reactions-scraper',
+    envVar: 'APIFY_LINKEDIN_REACTIONS_ACTOR_ID',
+    description: 'reactions actor (one item per reaction)',
+  },
+  comments: {
+    Adapter: PostCommentsActor,
+    defaultActorId: 'curious_coder/linkedin-post-comments-scraper',
+    envVar: 'APIFY_LINKEDIN_COMMENTS_ACTOR_ID',
+    description: 'comments actor (one item per comment)',
+  },
+};
+
+// Adapters run for each scraping mode; separate actors run in parallel
+const SCRAPER_MODES = {
+  combined: ['linkedin-post'],
+  separate: ['reactions', 'comments'],
+};
+
+/**
+ * Create the adapters for the configured scraping mode
+ * APIFY_SCRAPER picks the mode; without it, setting a reactions or comments actor ID selects `separate`.
+ * Extra input per adapter comes from the pipeline config: { "apify": { "input": { "reactions": { ... } } } }
+ * @returns {Array<ActorAdapter>}
+ */
+function createActorAdapters() {
+  const separateIds = process.env.APIFY_LINKEDIN_REACTIONS_ACTOR_ID || process.env.APIFY_LINKEDIN_COMMENTS_ACTOR_ID;
+  const mode = (process.env.APIFY_SCRAPER || (separateIds ? 'separate' : 'combined')).toLowerCase();
+
+  if (!SCRAPER_MODES[mode]) {
+    throw new Error(`Unknown APIFY_SCRAPER "${mode}" (available: ${Object.keys(SCRAPER_MODES).join(', ')})`);
+  }
+
+  const inputs = getConfig('apify').input || {};
+
+  return SCRAPER_MODES[mode].map(name => {
+    const { Adapter, defaultActorId, envVar, description } = ADAPTERS[name];
+    return new Adapter(name, {
+      actorId: process.env[envVar] || defaultActorId,
+      envVar,
+      description,
+      input: inputs[name],
+    });
+  });
+}
+
+/**
+ * First array among an item's fields
+ * @returns {Array|null}
+ */
+function firstArray(item, fields) {
+  return fields.map(field => item[field]).find(Array.isArray) || null;
+}
+
+/**
+ * Extract the person behind a single item (reaction, comment, etc.)
+ * References from the item and its nested person objects are resolved together, so a vanity slug in one
+ * field and a member URN in another make up one identity.
+ * @param {Object} item - Raw reaction/comment/engagement item
+ * @returns {Object|null} - { profileUrl, memberId, memberIdOnly, name, headline } or null if no profile found
+ */
+function extractPerson(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  // Direct URL fields
+  const urlFields = ['profileUrl', 'profile_url', 'linkedinUrl', 'linkedin_url',
+                     'url', 'link', 'actorUrl', 'authorUrl', 'memberUrl'];
+
+  // Vanity slugs (publicId is used by the supreme_coder actor)
+  const slugFields = ['publicId', 'publicIdentifier', 'public_identifier', 'vanityName'];
+
+  // Fields that may hold the internal member ID or its URN
+  const memberFields = ['urn', 'entityUrn', 'profileUrn', 'memberUrn', 'memberId', 'profileId'];
+
+  // Nested actor/user/profile object
+  const nestedObjects = ['actor', 'user', 'profile', 'reactor', 'author', 'member', 'commenter'];
+
+  // Item itself first, then nested objects
+  const sources = [item, ...nestedObjects
+    .map(objName => item[objName])
+    .filter(obj => obj && typeof obj === 'object')];
+
+  const values = fields => sources.flatMap(source => fields.map(field => source[field]))
+    .filter(value => typeof value === 'string');
+
+  const identity = resolveProfile([
+    ...values(urlFields).filter(value => /linkedin\.com\//i.test(value)),
+    ...values(slugFields),
+    // Other IDs (numeric profile IDs, comment URNs) share these fields; only member IDs count
+    ...values(memberFields).filter(value => parseProfileRef(value)?.memberId),
+  ]);
+
+  if (!identity) return null;
+
+  return {
+    ...identity,
+    name: sources.map(extractName).find(Boolean) || null,
+    headline: sources.map(extractHeadline).find(Boolean) || null,
+  };
+}
+
+/**
+ * Get a display name from a person-like object
+ */
+function extractName(source) {
+  const name = source.name || source.fullName || source.full_name
+    || [source.firstName || source.first_name, source.lastName || source.last_name].filter(Boolean).join(' ');
+  return typeof name === 'string' && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Get a headline from a person-like object
+ */
+function extractHeadline(source) {
+  const headline = source.headline || source.occupation || source.subtitle || source.position;
+  return typeof headline === 'string' && headline.trim() ? headline.trim() : null;
+}
+
+/**
+ * Get the reaction type (LIKE, PRAISE, EMPATHY, ...) from a reaction item
+ */
+function extractReactionType(item) {
+  const reactionType = item?.reactionType || item?.reaction_type || item?.reaction || item?.type;
+  return typeof reactionType === 'string' ? reactionType.toUpperCase() : null;
+}
+
+/**
+ * Get the comment text from a comment item
+ */
+function extractCommentText(item) {
+  const text = item?.text || item?.commentText || item?.comment_text || item?.comment || item?.content;
+  return typeof text === 'string' && text.trim() ? text.trim() : null;
+}
+
+module.exports = {
+  ActorAdapter,
+  ActorSchemaError,
+  createActorAdapters,
+};
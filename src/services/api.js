@@ -0,0 +1,333 @@
+/**
+ * HTTP server: health check plus an authenticated REST API for pipeline runs
+ * The API is enabled by setting API_TOKEN; callers send it as `Authorization: Bearer <token>`.
+ *
+ * POST /runs           - queue a run
+ * GET  /runs           - run history, newest first (?state=done&limit=20&post=<post URL or URN>)
+ * GET  /runs/:id       - stage, progress, counts and error of one run
+ * GET  /runs/:id/leads - per-engager results of a finished run
+ *
+ * POST /webhooks/apify - Apify run-finished webhooks (authenticated by the secret ApifyService sends with them)
+ */
+
+const crypto = require('crypto');
+const { createServer } = require('http');
+const logger = require('../utils/logger');
+const { EXPORT_FORMATS } = require('../utils/export');
+const { parsePostUrl } = require('../utils/linkedin-urls');
+
+const MAX_BODY_BYTES = 100 * 1024;
+const MAX_LIST_LIMIT = 200;
+const FINISHED_STATES = ['done', 'failed'];
+const BUDGET_CHOICES = ['truncate', 'commenters', 'cancel'];
+const MAX_POSTS_PER_RUN = 50;
+
+/**
+ * Error with the HTTP status it should be answered with
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+class ApiServer {
+  /**
+   * @param {Object} options
+   * @param {JobQueue} options.queue - Job queue the runs live in
+   * @param {RunResults} options.results - Per-run lead results
+   * @param {ApifyService} options.apify - Receives Apify webhooks
+   * @param {boolean} options.slackEnabled - Whether runs can post to Slack
+   */
+  constructor({ queue, results, apify = null, slackEnabled }) {
+    this.queue = queue;
+    this.results = results;
+    this.apify = apify;
+    this.slackEnabled = slackEnabled;
+    this.port = process.env.PORT || 3000;
+    this.token = process.env.API_TOKEN || null;
+    // Without a Slack thread nobody can click Approve, so the request has to approve up front
+    this.approvalRequired = process.env.REQUIRE_APPROVAL !== 'false';
+    this.onCreateRun = null;
+  }
+
+  /**
+   * Start listening
+   * @param {Function} onCreateRun - async (data, { notifySlack, slackChannel }) => { job, position }
+   * @returns {Promise<void>}
+   */
+  start(onCreateRun) {
+    this.onCreateRun = onCreateRun;
+    this.server = createServer((req, res) => this.handle(req, res));
+
+    return new Promise(resolve => {
+      this.server.listen(this.port, () => {
+        logger.info(`HTTP server running on port ${this.port}`, { api: this.token ? 'enabled' : 'disabled (set API_TOKEN)' });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    try {
+      if (url.pathname === '/health' || url.pathname === '/') {
+        res.writeHead(200);
+        res.end('OK');
+        return;
+      }
+
+      if (url.pathname === '/webhooks/apify') {
+        return this.send(res, 200, await this.receiveApifyWebhook(req));
+      }
+
+      if (!this.token || segments[0] !== 'runs' || segments.length > 3) {
+        throw new ApiError(404, 'Not found');
+      }
+
+      if (!this.isAuthorized(req)) {
+        throw new ApiError(401, 'Missing or invalid API token');
+      }
+
+      const [, runId, sub] = segments;
+
+      if (req.method === 'POST' && !runId) {
+        return this.send(res, 202, await this.createRun(await this.readBody(req)));
+      }
+
+      if (req.method !== 'GET') {
+        throw new ApiError(405, `${req.method} is not supported on ${url.pathname}`);
+      }
+
+      if (!runId) return this.send(res, 200, this.listRuns(url.searchParams));
+      if (!sub) return this.send(res, 200, this.getRun(runId));
+      if (sub === 'leads') return this.send(res, 200, this.getRunLeads(runId));
+
+      throw new ApiError(404, 'Not found');
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : 500;
+      if (status === 500) {
+        logger.error('API request failed', { method: req.method, path: url.pathname, error: error.message });
+      }
+
+      this.send(res, status, { error: error.message });
+    }
+  }
+
+  /**
+   * Hand an Apify run-finished webhook to ApifyService
+   * @returns {Promise<Object>} - { received, waiting }
+   */
+  async receiveApifyWebhook(req) {
+    if (!this.apify?.webhook) {
+      throw new ApiError(404, 'Not found');
+    }
+
+    if (req.method !== 'POST') {
+      throw new ApiError(405, `${req.method} is not supported on /webhooks/apify`);
+    }
+
+    if (!this.apify.isWebhookAuthorized(req.headers['x-apify-webhook-secret'])) {
+      throw new ApiError(401, 'Missing or invalid webhook secret');
+    }
+
+    const waiting = this.apify.handleWebhook(await this.readBody(req));
+    return { received: true, waiting };
+  }
+
+  /**
+   * Compare the bearer token in constant time
+   */
+  isAuthorized(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(token), hash(this.token));
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @returns {Promise<Object>}
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      let tooLarge = false;
+
+      req.on('data', chunk => {
+        if (tooLarge) return;
+
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          tooLarge = true;
+          reject(new ApiError(413, 'Request body too large'));
+        }
+      });
+
+      req.on('end', () => {
+        if (tooLarge) return;
+
+        try {
+          const parsed = body ? JSON.parse(body) : {};
+          if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('expected an object');
+          }
+          resolve(parsed);
+        } catch (error) {
+          reject(new ApiError(400, `Invalid JSON body: ${error.message}`));
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Validate a POST /runs body and queue the run
+   * @param {Object} body - { postUrl or postUrls, campaignId, destination, dryRun, approve, overBudget, bypassCache,
+   *   exportFormat, showRejected, notifySlack, slackChannel, requestedBy }
+   * @returns {Promise<Object>} - Run detail
+   */
+  async createRun(body) {
+    // Several posts run as one job, with their engagers merged
+    const requested = Array.isArray(body.postUrls) ? body.postUrls : [body.postUrl];
+    const posts = requested.map(parsePostUrl);
+
+    if (requested.length === 0 || posts.some(post => !post)) {
+      const invalid = requested.filter((url, index) => !posts[index]).map(url => JSON.stringify(url ?? null));
+      throw new ApiError(400, `\`postUrl\` must be a LinkedIn post URL, or \`postUrls\` a list of them (not a post: ${invalid.join(', ')})`);
+    }
+
+    const postUrls = [...new Map(posts.map(post => [post.id, post.url])).values()];
+
+    if (postUrls.length > MAX_POSTS_PER_RUN) {
+      throw new ApiError(400, `At most ${MAX_POSTS_PER_RUN} posts per run`);
+    }
+
+    const notifySlack = !!body.notifySlack || !!body.slackChannel;
+    if (notifySlack && !this.slackEnabled) {
+      throw new ApiError(400, 'Slack notifications requested but Slack is not configured');
+    }
+
+    if (this.approvalRequired && !notifySlack && !body.dryRun && body.approve !== true) {
+      throw new ApiError(400, 'Approval is required: pass `"approve": true`, use `dryRun`, or set `notifySlack` to approve in Slack');
+    }
+
+    if (body.overBudget && !BUDGET_CHOICES.includes(body.overBudget)) {
+      throw new ApiError(400, `\`overBudget\` must be one of: ${BUDGET_CHOICES.join(', ')}`);
+    }
+
+    if (body.exportFormat && ![...EXPORT_FORMATS, 'none'].includes(body.exportFormat)) {
+      throw new ApiError(400, `\`exportFormat\` must be one of: ${[...EXPORT_FORMATS, 'none'].join(', ')}`);
+    }
+
+    const data = {
+      postUrls,
+      source: 'api',
+      // Enrichment budgets are tracked per requester
+      userId: body.requestedBy ? `api:${body.requestedBy}` : 'api',
+      ...(body.campaignId && { campaignId: String(body.campaignId) }),
+      ...(body.destination && { destination: String(body.destination).toLowerCase() }),
+      ...(body.dryRun && { dryRun: true }),
+      ...(body.approve === true && { approve: true }),
+      ...(body.overBudget && { overBudget: body.overBudget }),
+      ...(body.bypassCache && { bypassCache: true }),
+      ...(body.exportFormat && { exportFormat: body.exportFormat }),
+      ...(body.showRejected && { showRejected: true }),
+    };
+
+    const { job } = await this.onCreateRun(data, { notifySlack, slackChannel: body.slackChannel || null });
+    logger.info('Run created via API', { jobId: job.id, requestedBy: body.requestedBy });
+
+    return this.formatRun(job);
+  }
+
+  /**
+   * @param {URLSearchParams} params - state, limit, post (runs of one post, in any URL form)
+   * @returns {Object} - { runs }
+   */
+  listRuns(params) {
+    const limit = Math.min(parseInt(params.get('limit'), 10) || 50, MAX_LIST_LIMIT);
+
+    let postId = null;
+    if (params.has('post')) {
+      postId = parsePostUrl(params.get('post'))?.id;
+      if (!postId) throw new ApiError(400, '`post` must be a LinkedIn post URL or URN');
+    }
+
+    const jobs = this.queue.listJobs({ state: params.get('state'), postId, limit });
+
+    return { runs: jobs.map(job => this.formatRun(job, { brief: true })) };
+  }
+
+  getRun(runId) {
+    return this.formatRun(this.findJob(runId));
+  }
+
+  /**
+   * @returns {Object} - { id, state, leads } where leads are rows as in the run export
+   */
+  getRunLeads(runId) {
+    const job = this.findJob(runId);
+
+    if (!FINISHED_STATES.includes(job.state)) {
+      throw new ApiError(409, `Run is still ${job.state}; leads are available once it finishes`);
+    }
+
+    const leads = this.results.get(job.id);
+    if (!leads) {
+      throw new ApiError(404, 'No lead results were recorded for this run');
+    }
+
+    return { id: job.id, state: job.state, leads };
+  }
+
+  findJob(runId) {
+    const job = this.queue.getJob(runId);
+    if (!job) throw new ApiError(404, `Run ${runId} not found`);
+    return job;
+  }
+
+  /**
+   * Public view of a job
+   * @param {Object} job - Queue job
+   * @param {Object} options - { brief } leaves out progress stages
+   * @returns {Object}
+   */
+  formatRun(job, { brief = false } = {}) {
+    const { postUrl, postUrls = [postUrl], source, userId, ...options } = job.data;
+
+    return {
+      id: job.id,
+      state: job.state,
+      ...(job.state === 'queued' && { position: this.queue.getPosition(job.id) }),
+      postUrls,
+      postIds: this.queue.getPostIds(job),
+      source: source || 'slack',
+      requestedBy: userId || null,
+      options,
+      slackThread: job.thread || null,
+      stats: job.stats || null,
+      ...(!brief && { stages: job.progress?.stages || [] }),
+      ...(!brief && { apifyRuns: Object.values(job.apifyRuns || {}).map(run => run.id) }),
+      error: job.error || null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+}
+
+module.exports = ApiServer;
@@ -1,283 +1,516 @@
 /**
  * Apify service for scraping LinkedIn post engagers
- * Uses supreme_coder/linkedin-post actor (high success rate)
+ * Runs the actors picked by the adapter registry (see actors.js): the combined supreme_coder/linkedin-post
+ * actor by default, or separate reactions and comments actors in parallel.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { createHttpClient, isFatalError } = require('../utils/http');
+const { parsePostUrl } = require('../utils/linkedin-urls');
+const { ActorSchemaError, createActorAdapters } = require('./actors');
 
 const APIFY_API_BASE = 'https://api.apify.com/v2';
 
+// How long a run may take, and how often its status is checked (a webhook wakes the check early)
+const RUN_TIMEOUT_MS = 15 * 60 * 1000;
+const POLL_INTERVAL_MS = 10000;
+const WEBHOOK_POLL_INTERVAL_MS = 60000;
+
+const FAILED_STATUSES = ['FAILED', 'ABORTED', 'TIMED-OUT'];
+const WEBHOOK_EVENTS = ['ACTOR.RUN.SUCCEEDED', 'ACTOR.RUN.FAILED', 'ACTOR.RUN.ABORTED', 'ACTOR.RUN.TIMED_OUT'];
+
+// Attempts per dataset page (on top of the HTTP client's own retries) before the run fails
+const PAGE_ATTEMPTS = 3;
+const PAGE_RETRY_DELAY_MS = 2000;
+
 class ApifyService {
   constructor() {
     this.apiToken = process.env.APIFY_API_TOKEN;
 
-    // Actor for LinkedIn post scraping (very high success rate)
-    this.actorId = process.env.APIFY_LINKEDIN_ACTOR_ID || 'supreme_coder/linkedin-post';
+    // Actors to run for each batch of posts
+    this.adapters = createActorAdapters();
+
+    // Posts scraped per actor run: fewer runs, but each one takes longer
+    this.postsPerRun = parseInt(process.env.APIFY_POSTS_PER_RUN, 10) || 10;
+
+    // Dataset items read per request; only one page is held in memory at a time
+    this.pageSize = parseInt(process.env.APIFY_PAGE_SIZE, 10) || 1000;
 
     if (!this.apiToken) {
       throw new Error('APIFY_API_TOKEN is required');
     }
 
-    this.client = axios.create({
-      baseURL: APIFY_API_BASE,
+    // Runs being waited for, by run ID: { signalled, wake } (see handleWebhook)
+    this.runWaiters = new Map();
+    this.webhook = null;
+
+    this.client = createHttpClient({
+      service: 'Apify',
+      // Overridable to point at a local fake Apify server
+      baseURL: process.env.APIFY_API_BASE_URL || APIFY_API_BASE,
+      // Polls are cheap and runs are long, so ride out more transient failures
+      maxAttempts: 5,
       headers: {
         'Content-Type': 'application/json',
       },
     });
+
+    logger.info('Apify actors', { actors: this.adapters.map(adapter => `${adapter.name}: ${adapter.actorId}`) });
   }
 
   /**
-   * Run an Apify actor and wait for results
+   * Have Apify call the HTTP server when runs finish, instead of relying on polling alone
+   * Only the app server calls this; the CLI has no server to receive webhooks and keeps polling.
+   * @returns {boolean} - Whether APIFY_WEBHOOK_URL is set
    */
-  async runActor(actorId, input) {
-    logger.info('Starting Apify actor', { actorId });
+  enableWebhooks() {
+    const url = process.env.APIFY_WEBHOOK_URL;
+    if (!url) return false;
 
-    try {
-      const runResponse = await this.client.post(
-        `/acts/${encodeURIComponent(actorId)}/runs`,
-        input,
-        {
-          params: {
-            token: this.apiToken,
-            waitForFinish: 300,
-          },
-        }
-      );
+    // Derived from the API token when not set, so it survives restarts (runs keep the secret they started with)
+    const secret = process.env.APIFY_WEBHOOK_SECRET
+      || crypto.createHash('sha256').update(`apify-webhook:${this.apiToken}`).digest('hex');
 
-      const run = runResponse.data.data;
-      logger.info('Actor run started', { runId: run.id, status: run.status });
+    this.webhook = { url, secret };
+    logger.info('Apify run webhooks enabled', { url });
+    return true;
+  }
 
-      if (run.status !== 'SUCCEEDED') {
-        await this.waitForRun(run.id);
-      }
+  /**
+   * Check the secret a webhook request carried
+   * @param {string} secret - X-Apify-Webhook-Secret header
+   * @returns {boolean}
+   */
+  isWebhookAuthorized(secret) {
+    if (!this.webhook || typeof secret !== 'string') return false;
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(secret), hash(this.webhook.secret));
+  }
 
-      const results = await this.getDatasetItems(run.defaultDatasetId);
-      logger.info('Actor run completed', { runId: run.id, resultCount: results.length });
+  /**
+   * Wake the wait on a run Apify reports as finished
+   * The payload is only a signal: the run's status is always read back from the API.
+   * @param {Object} payload - Apify webhook payload ({ eventType, eventData: { actorRunId }, resource })
+   * @returns {boolean} - Whether this process was waiting for the run
+   */
+  handleWebhook(payload) {
+    const runId = payload?.eventData?.actorRunId || payload?.resource?.id;
+    const waiter = runId && this.runWaiters.get(runId);
+
+    logger.info('Apify webhook received', { runId, eventType: payload?.eventType, waiting: !!waiter });
+    if (!waiter) return false;
 
-      return results;
+    waiter.signalled = true;
+    if (waiter.wake) waiter.wake();
+    return true;
+  }
+
+  /**
+   * Run an Apify actor and wait for it to finish
+   * @param {string} actorId - Actor to run
+   * @param {Object} input - Actor input
+   * @param {Object} options
+   * @param {Object} options.previousRun - { id } of a run this job started before a restart: wait for it
+   *   instead of starting (and paying for) another
+   * @param {Function} options.onStarted - Called with the new run as soon as it has started
+   * @returns {Promise<Object>} - The finished run ({ id, defaultDatasetId, ... })
+   */
+  async runActor(actorId, input, { previousRun = null, onStarted = null } = {}) {
+    try {
+      let runId = previousRun?.id;
+
+      if (runId) {
+        logger.info('Reattaching to Apify run', { actorId, runId });
+      } else {
+        const run = await this.startRun(actorId, input);
+        runId = run.id;
+        if (onStarted) onStarted(run);
+      }
+
+      const run = await this.waitForRun(runId);
+      logger.info('Actor run completed', { runId });
+      return run;
     } catch (error) {
-      const errorMsg = error.response?.data?.error?.message || error.message;
+      // HttpError messages already carry the API's error detail
+      const errorMsg = error.message;
       logger.error('Apify actor run failed', { actorId, error: errorMsg });
       throw new Error(`Apify actor failed: ${errorMsg}`);
     }
   }
 
   /**
-   * Poll for actor run completion
+   * Start an actor run without waiting for it
+   * @returns {Promise<Object>} - The started run
+   */
+  async startRun(actorId, input) {
+    logger.info('Starting Apify actor', { actorId });
+
+    const webhooks = this.webhook && [{
+      eventTypes: WEBHOOK_EVENTS,
+      requestUrl: this.webhook.url,
+      headersTemplate: JSON.stringify({ 'X-Apify-Webhook-Secret': this.webhook.secret }),
+    }];
+
+    const runResponse = await this.client.post(
+      `/acts/${encodeURIComponent(actorId)}/runs`,
+      input,
+      {
+        params: {
+          token: this.apiToken,
+          ...(webhooks && { webhooks: Buffer.from(JSON.stringify(webhooks)).toString('base64') }),
+        },
+        // A retried start could launch (and bill) a second run
+        maxAttempts: 1,
+      }
+    );
+
+    const run = runResponse.data.data;
+    logger.info('Actor run started', { runId: run.id, status: run.status, webhook: !!webhooks });
+    return run;
+  }
+
+  /**
+   * Wait for an actor run to finish: checks its status, then sleeps until the next poll or its webhook
+   * @param {string} runId - Run to wait for
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<Object>} - The finished run
    */
-  async waitForRun(runId, maxAttempts = 60, intervalMs = 10000) {
+  async waitForRun(runId, timeoutMs = RUN_TIMEOUT_MS) {
     logger.info('Waiting for Apify run to complete', { runId });
 
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      const response = await this.client.get(`/actor-runs/${runId}`, {
-        params: { token: this.apiToken },
-      });
-      const status = response.data.data.status;
+    const deadline = Date.now() + timeoutMs;
+    const waiter = { signalled: false, wake: null };
+    this.runWaiters.set(runId, waiter);
 
-      logger.debug(`Polling attempt ${attempt}/${maxAttempts}`, { status });
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const response = await this.client.get(`/actor-runs/${runId}`, {
+          params: { token: this.apiToken },
+        });
+        const run = response.data.data;
 
-      if (status === 'SUCCEEDED') return;
-      if (['FAILED', 'ABORTED', 'TIMED-OUT'].includes(status)) {
-        throw new Error(`Actor run ${status}`);
-      }
+        logger.debug(`Polling attempt ${attempt}`, { runId, status: run.status });
 
-      await this.sleep(intervalMs);
-    }
+        if (run.status === 'SUCCEEDED') return run;
+        if (FAILED_STATUSES.includes(run.status)) {
+          throw new Error(`Actor run ${run.status}`);
+        }
+
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) throw new Error('Actor run timed out');
 
-    throw new Error('Actor run timed out');
+        const interval = this.webhook ? WEBHOOK_POLL_INTERVAL_MS : POLL_INTERVAL_MS;
+        await this.waitForSignal(waiter, Math.min(interval, remaining));
+      }
+    } finally {
+      this.runWaiters.delete(runId);
+    }
   }
 
   /**
-   * Get items from a dataset
+   * Sleep until the timeout or the run's webhook, whichever comes first
+   * @param {Object} waiter - Entry in runWaiters
+   * @param {number} ms - Timeout
    */
-  async getDatasetItems(datasetId) {
-    const response = await this.client.get(`/datasets/${datasetId}/items`, {
-      params: {
-        token: this.apiToken,
-        format: 'json',
-        clean: true,
-      },
+  waitForSignal(waiter, ms) {
+    // The webhook may have arrived while the status was being fetched
+    if (waiter.signalled) {
+      waiter.signalled = false;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => waiter.wake(), ms);
+      waiter.wake = () => {
+        clearTimeout(timer);
+        waiter.signalled = false;
+        waiter.wake = null;
+        resolve();
+      };
     });
-    return response.data || [];
   }
 
   /**
-   * Extract LinkedIn profile URLs from post data
-   * @param {Array} postData - Raw data from Apify
-   * @returns {Array<string>} - Array of LinkedIn profile URLs
+   * Read a dataset page by page
+   * @param {string} datasetId - Dataset to read
+   * @yields {Array<Object>} - Up to pageSize items per page
    */
-  extractProfileUrls(postData) {
-    const profileUrls = new Set();
-
-    // Debug: log raw data structure
-    if (postData.length > 0) {
-      logger.info('Sample post data keys', { keys: Object.keys(postData[0]) });
-
-      // Log reactions structure
-      const reactions = postData[0].reactions;
-      logger.info('Reactions type and length', {
-        type: typeof reactions,
-        isArray: Array.isArray(reactions),
-        length: Array.isArray(reactions) ? reactions.length : 'N/A',
-        sample: Array.isArray(reactions) && reactions.length > 0 ? JSON.stringify(reactions[0]).substring(0, 300) : 'empty'
-      });
-
-      // Log comments structure
-      const comments = postData[0].comments;
-      logger.info('Comments type and length', {
-        type: typeof comments,
-        isArray: Array.isArray(comments),
-        length: Array.isArray(comments) ? comments.length : 'N/A',
-        sample: Array.isArray(comments) && comments.length > 0 ? JSON.stringify(comments[0]).substring(0, 300) : 'empty'
-      });
+  async *iterateDataset(datasetId) {
+    for (let offset = 0; ; offset += this.pageSize) {
+      const { items, total } = await this.getDatasetPage(datasetId, offset);
+      if (items.length > 0) yield items;
+
+      // The total header says when we're done; without it, a short page is the last one
+      const done = Number.isFinite(total) ? offset + this.pageSize >= total : items.length < this.pageSize;
+      if (done) return;
     }
+  }
 
-    for (const post of postData) {
-      // Extract author profile URL
-      if (post.authorProfileUrl) {
-        const normalized = this.normalizeLinkedInUrl(post.authorProfileUrl);
-        if (normalized) profileUrls.add(normalized);
-      }
+  /**
+   * Fetch one dataset page, retrying just that page when it fails
+   * @param {string} datasetId - Dataset to read
+   * @param {number} offset - First item of the page
+   * @returns {Promise<Object>} - { items, total } where total is the dataset size if Apify reported it
+   */
+  async getDatasetPage(datasetId, offset) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.get(`/datasets/${datasetId}/items`, {
+          params: {
+            token: this.apiToken,
+            format: 'json',
+            clean: true,
+            offset,
+            limit: this.pageSize,
+          },
+        });
 
-      // Extract from reactions array (various possible structures)
-      const reactions = post.reactions || post.likers || post.likes || [];
-      if (Array.isArray(reactions)) {
-        logger.info('Processing reactions', { count: reactions.length });
-        for (const reaction of reactions) {
-          this.extractUrlFromItem(reaction, profileUrls);
+        // A body cut off mid-transfer doesn't parse into an array
+        if (!Array.isArray(response.data)) {
+          throw new Error('Malformed dataset page');
         }
-      }
 
-      // Extract from comments array
-      const comments = post.comments || post.commenters || [];
-      if (Array.isArray(comments)) {
-        logger.info('Processing comments', { count: comments.length });
-        for (const comment of comments) {
-          this.extractUrlFromItem(comment, profileUrls);
-          // Also check nested author
-          if (comment.author) {
-            this.extractUrlFromItem(comment.author, profileUrls);
-          }
+        const total = parseInt(response.headers?.['x-apify-pagination-total'], 10);
+        return { items: response.data, total };
+      } catch (error) {
+        if (isFatalError(error) || attempt >= PAGE_ATTEMPTS) {
+          throw new Error(`Failed to read Apify dataset ${datasetId} at offset ${offset}: ${error.message}`);
         }
-      }
 
-      // Extract from engagements/engagement array
-      const engagements = post.engagements || post.engagement || [];
-      if (Array.isArray(engagements)) {
-        for (const engagement of engagements) {
-          this.extractUrlFromItem(engagement, profileUrls);
-        }
+        logger.warn('Dataset page fetch failed, retrying the page', { datasetId, offset, attempt, error: error.message });
+        await this.sleep(PAGE_RETRY_DELAY_MS * attempt);
       }
     }
-
-    const validUrls = Array.from(profileUrls);
-    logger.step('Profile URLs extracted', validUrls.length);
-    return validUrls;
   }
 
   /**
-   * Extract URL from a single item (reaction, comment, etc.)
+   * Work out which requested post each engagement belongs to
+   * @param {Array<Object>} engagements - Engagements from one actor run (see ActorAdapter.mapItem)
+   * @param {Array<string>} postUrls - Post URLs the run was given
+   * @param {Set<string>} matched - Posts earlier pages of the run found engagements for (updated)
+   * @returns {Map<string, Array>} - Post URL -> its engagements
    */
-  extractUrlFromItem(item, profileUrls) {
-    if (!item) return;
-
-    // Direct URL fields
-    const urlFields = ['profileUrl', 'profile_url', 'linkedinUrl', 'linkedin_url',
-                       'url', 'link', 'actorUrl', 'authorUrl', 'memberUrl'];
-    for (const field of urlFields) {
-      if (item[field] && typeof item[field] === 'string' && item[field].includes('linkedin.com/in/')) {
-        const normalized = this.normalizeLinkedInUrl(item[field]);
-        if (normalized) profileUrls.add(normalized);
+  groupByPost(engagements, postUrls, matched = new Set()) {
+    const groups = new Map(postUrls.map(url => [url, []]));
+
+    if (postUrls.length === 1) {
+      groups.set(postUrls[0], engagements);
+      return groups;
+    }
+
+    // Items may name their post in any URL or URN form, so match on canonical post IDs
+    const postKey = value => parsePostUrl(value)?.id || value;
+    const urlsById = new Map(postUrls.map(url => [postKey(url), url]));
+    const unmatched = [];
+
+    for (const engagement of engagements) {
+      const postUrl = engagement.postRefs.map(ref => urlsById.get(postKey(ref))).find(Boolean);
+
+      if (postUrl) {
+        groups.get(postUrl).push(engagement);
+        matched.add(postUrl);
+      } else {
+        unmatched.push(engagement);
       }
     }
 
-    // Nested actor/user/profile object
-    const nestedObjects = ['actor', 'user', 'profile', 'reactor', 'author', 'member', 'commenter'];
-    for (const objName of nestedObjects) {
-      if (item[objName] && typeof item[objName] === 'object') {
-        // Check URL fields
-        for (const field of urlFields) {
-          if (item[objName][field] && typeof item[objName][field] === 'string' && item[objName][field].includes('linkedin.com/in/')) {
-            const normalized = this.normalizeLinkedInUrl(item[objName][field]);
-            if (normalized) profileUrls.add(normalized);
-          }
-        }
-        // Check for publicId (used by supreme_coder actor)
-        if (item[objName].publicId) {
-          profileUrls.add(`https://www.linkedin.com/in/${item[objName].publicId}`);
-        }
-        // Check for publicIdentifier
-        if (item[objName].publicIdentifier) {
-          profileUrls.add(`https://www.linkedin.com/in/${item[objName].publicIdentifier}`);
-        }
-        // Check for vanityName
-        if (item[objName].vanityName) {
-          profileUrls.add(`https://www.linkedin.com/in/${item[objName].vanityName}`);
-        }
+    if (unmatched.length > 0) {
+      // With a single post left without data, the unlabelled items can only be its
+      const empty = postUrls.filter(url => !matched.has(url));
+
+      if (empty.length === 1) {
+        groups.get(empty[0]).push(...unmatched);
+        matched.add(empty[0]);
+      } else {
+        logger.warn('Could not tell which post some Apify results belong to, skipping them', { items: unmatched.length });
       }
     }
 
-    // Top-level publicId (supreme_coder format)
-    if (item.publicId) {
-      profileUrls.add(`https://www.linkedin.com/in/${item.publicId}`);
+    return groups;
+  }
+
+  /**
+   * Run one adapter's actor over a batch of posts, handing over each dataset page's engagements as it arrives
+   * @param {ActorAdapter} adapter - Actor adapter
+   * @param {Array<string>} postUrls - Posts to scrape
+   * @param {Function} onPage - Called with each page's engagements grouped by post (see groupByPost)
+   * @param {Object} runOptions - { previousRun, onStarted } as runActor
+   * @returns {Promise<void>}
+   */
+  async scrapeWith(adapter, postUrls, onPage, runOptions = {}) {
+    const run = await this.runActor(adapter.actorId, adapter.buildInput(postUrls), runOptions);
+    const matched = new Set();
+    let items = 0;
+    let recognised = 0;
+    let sampleItems = [];
+
+    for await (const page of this.iterateDataset(run.defaultDatasetId)) {
+      if (items === 0) {
+        logger.debug('Sample item keys', { adapter: adapter.name, keys: Object.keys(page[0] || {}) });
+        sampleItems = page.slice(0, 5);
+      }
+
+      const mapped = page.map(item => (item && typeof item === 'object' ? adapter.mapItem(item) : null));
+      items += page.length;
+      recognised += mapped.filter(Boolean).length;
+
+      onPage(this.groupByPost(mapped.filter(Boolean).flat(), postUrls, matched));
     }
-    // Top-level publicIdentifier
-    if (item.publicIdentifier) {
-      profileUrls.add(`https://www.linkedin.com/in/${item.publicIdentifier}`);
+
+    logger.info('Raw data fetched', { adapter: adapter.name, items, recognised });
+
+    if (items === 0) {
+      logger.warn('No data returned from Apify', { adapter: adapter.name, postUrls });
+    } else if (recognised === 0) {
+      // Items came back but none had fields we know: the actor isn't the kind the adapter expects
+      throw new ActorSchemaError(adapter, sampleItems, items);
     }
   }
 
   /**
-   * Normalize LinkedIn URL format
+   * Merge one engagement into the per-person engager map
+   * Engager records: { profileUrl, memberId, memberIdOnly, name, headline, postUrl, postUrls, engagementTypes,
+   * reactionType, comments } where profileUrl is canonical (see resolveProfile), postUrl is the first post they
+   * engaged with and postUrls all of them
+   * @param {Map} engagers - Engager records keyed by profile URL
+   * @param {string} postUrl - Post the engagement belongs to
+   * @param {Object} engagement - { type, person, reactionType, comment } from an actor adapter
    */
-  normalizeLinkedInUrl(url) {
-    if (!url || typeof url !== 'string') return null;
-    if (!url.includes('linkedin.com')) return null;
+  addEngager(engagers, postUrl, { type, person, reactionType, comment }) {
+    if (!person?.profileUrl) return;
+
+    const engager = engagers.get(person.profileUrl) || {
+      profileUrl: person.profileUrl,
+      memberId: null,
+      memberIdOnly: person.memberIdOnly,
+      name: null,
+      headline: null,
+      postUrl,
+      postUrls: [],
+      engagementTypes: [],
+      reactionType: null,
+      comments: [],
+    };
+
+    engager.name = engager.name || person.name;
+    engager.headline = engager.headline || person.headline;
+    engager.memberId = engager.memberId || person.memberId;
+
+    if (!engager.postUrls.includes(postUrl)) {
+      engager.postUrls.push(postUrl);
+    }
 
-    let normalized = url.split('?')[0].replace(/\/+$/, '');
+    if (!engager.engagementTypes.includes(type)) {
+      engager.engagementTypes.push(type);
+    }
+
+    if (reactionType && !engager.reactionType) {
+      engager.reactionType = reactionType;
+    }
 
-    if (normalized.startsWith('http://')) {
-      normalized = normalized.replace('http://', 'https://');
+    if (comment) {
+      engager.comments.push(comment);
     }
 
-    return normalized;
+    engagers.set(person.profileUrl, engager);
   }
 
   /**
-   * Main method: Get all engager profile URLs from a LinkedIn post
-   * @param {string} postUrl - LinkedIn post URL
-   * @returns {Promise<Array<string>>} - Array of profile URLs
+   * Fold records known only by a member ID into the same person's profile record, when some item linked the two
+   * @param {Map} engagers - Engager records keyed by profile URL
+   * @returns {number} - Records merged away
    */
-  async getPostEngagers(postUrl) {
-    try {
-      logger.info('Fetching post engagers', { postUrl });
-
-      // Input format for supreme_coder/linkedin-post
-      // Try multiple input formats to see which works
-      const input = {
-        urls: [postUrl],
-        postUrls: [postUrl],
-        startUrls: [{ url: postUrl }],
-      };
+  mergeMemberIds(engagers) {
+    const byMemberId = new Map();
+    for (const engager of engagers.values()) {
+      if (!engager.memberIdOnly && engager.memberId) byMemberId.set(engager.memberId, engager);
+    }
 
-      const results = await this.runActor(this.actorId, input);
+    let merged = 0;
+    for (const [profileUrl, engager] of engagers) {
+      const target = engager.memberIdOnly && byMemberId.get(engager.memberId);
+      if (!target) continue;
 
-      logger.info('Raw data fetched', { posts: results.length });
+      target.name = target.name || engager.name;
+      target.headline = target.headline || engager.headline;
+      target.postUrls = [...new Set([...target.postUrls, ...engager.postUrls])];
+      target.engagementTypes = [...new Set([...target.engagementTypes, ...engager.engagementTypes])];
+      target.reactionType = target.reactionType || engager.reactionType;
+      target.comments.push(...engager.comments);
 
-      if (results.length === 0) {
-        logger.warn('No post data returned from Apify');
-        return [];
+      engagers.delete(profileUrl);
+      merged++;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Main method: Get all engagers of one or more LinkedIn posts, merged per person
+   * Posts are scraped in batches of APIFY_POSTS_PER_RUN per actor run, and datasets are read a page at a time.
+   * @param {Array<string>} postUrls - LinkedIn post URLs
+   * @param {Object} options
+   * @param {Function} options.onEngagers - Called with the engagers first seen in each page, as pages arrive
+   *   (records keep being updated in place as later pages add engagements)
+   * @param {Object} options.runs - Actor runs started for these posts before a restart, by key (see onRunStarted);
+   *   they're reattached instead of started again
+   * @param {Function} options.onRunStarted - Called with (key, { id, actorId, startedAt }) when an actor run starts,
+   *   so it can be persisted; the key names the adapter and batch
+   * @returns {Promise<Array<Object>>} - Engager records (see addEngager)
+   */
+  async getPostsEngagers(postUrls, { onEngagers = null, runs = {}, onRunStarted = null } = {}) {
+    const engagers = new Map();
+
+    const addPage = groups => {
+      const before = engagers.size;
+      const added = [];
+
+      for (const [postUrl, list] of groups) {
+        for (const engagement of list) {
+          const isNew = engagement.person?.profileUrl && !engagers.has(engagement.person.profileUrl);
+          this.addEngager(engagers, postUrl, engagement);
+          if (isNew) added.push(engagers.get(engagement.person.profileUrl));
+        }
       }
 
-      // Extract unique profile URLs
-      const profileUrls = this.extractProfileUrls(results);
+      logger.debug('Dataset page processed', { newEngagers: engagers.size - before, total: engagers.size });
+      if (onEngagers && added.length > 0) onEngagers(added);
+    };
 
-      return profileUrls;
+    try {
+      for (let i = 0; i < postUrls.length; i += this.postsPerRun) {
+        const batch = postUrls.slice(i, i + this.postsPerRun);
+        logger.info('Fetching post engagers', { postUrls: batch });
+
+        await Promise.all(this.adapters.map(adapter => {
+          // Keyed by the batch's post range, so a changed APIFY_POSTS_PER_RUN doesn't reuse a run for other posts
+          const key = `${adapter.name}:${i}-${i + batch.length}`;
+          // A run of another actor (the config changed across the restart) isn't reused
+          const previousRun = runs[key]?.actorId === adapter.actorId ? runs[key] : null;
+
+          return this.scrapeWith(adapter, batch, addPage, {
+            previousRun,
+            onStarted: run => onRunStarted && onRunStarted(key, { id: run.id, actorId: adapter.actorId, startedAt: run.startedAt }),
+          });
+        }));
+      }
     } catch (error) {
       logger.error('Failed to get post engagers', { error: error.message });
       throw error;
     }
+
+    const merged = this.mergeMemberIds(engagers);
+
+    const records = Array.from(engagers.values());
+    logger.step('Engagers extracted', records.length, {
+      commenters: records.filter(e => e.engagementTypes.includes('comment')).length,
+      inMultiplePosts: records.filter(e => e.postUrls.length > 1).length,
+      memberIdOnly: records.filter(e => e.memberIdOnly).length,
+      mergedMemberIds: merged,
+    });
+    return records;
   }
 
   sleep(ms) {
@@ -1,151 +1,380 @@
 /**
  * Apollo.io service for enriching LinkedIn profiles with contact data
+ * First provider in the enrichment waterfall
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createHttpClient, isFatalError, parseRetryAfter } = require('../utils/http');
+const EnrichmentProvider = require('./provider');
 
 const APOLLO_API_BASE = 'https://api.apollo.io/api/v1';
 
-class ApolloService {
-  constructor() {
+// Bulk match accepts at most 10 people per request
+const BULK_MATCH_MAX_SIZE = 10;
+// Pacing between bulk requests when the rate limit has plenty of headroom
+const MIN_BATCH_DELAY_MS = 250;
+// Below this share of the per-minute limit, spread the remaining requests over the minute
+const LOW_HEADROOM_RATIO = 0.2;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+// Consecutive 429s on one batch before its records fall back to single matches
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+class ApolloService extends EnrichmentProvider {
+  /**
+   * @param {Object} options - Provider options from the enrichment config
+   * @param {string} options.baseUrl - API base URL (e.g. a local stub server)
+   * @param {Array<string>} options.acceptEmailStatuses - See EnrichmentProvider
+   * @param {Array<string>} options.rejectEmailStatuses - See EnrichmentProvider
+   */
+  constructor(options = {}) {
+    super('Apollo', options);
+
     this.apiKey = process.env.APOLLO_API_KEY;
 
     if (!this.apiKey) {
       throw new Error('APOLLO_API_KEY is required');
     }
 
-    this.client = axios.create({
-      baseURL: APOLLO_API_BASE,
+    this.client = createHttpClient({
+      service: 'Apollo',
+      baseURL: options.baseUrl || APOLLO_API_BASE,
+      maxAttempts: 4,
       headers: {
         'Content-Type': 'application/json',
         'Cache-Control': 'no-cache',
       },
     });
+
+    // Adapted from rate-limit headers; kept across runs since the limit is per account
+    this.pacing = { batchSize: BULK_MATCH_MAX_SIZE, delayMs: MIN_BATCH_DELAY_MS };
   }
 
   /**
-   * Extract LinkedIn public identifier from URL
-   * @param {string} linkedinUrl - Full LinkedIn profile URL
-   * @returns {string|null} - Public identifier or null
+   * Send a match request, reporting the profiles it looks up
+   * Every request sent counts against the budget whatever its outcome, except ones refused by the rate limit.
+   * @param {string} path - Match endpoint
+   * @param {Object} body - Request body (without the API key)
+   * @param {number} count - Profiles in the request
+   * @param {Function} onLookups - Called with count once the request has been sent
+   * @param {Object} config - Extra HTTP client options
+   * @returns {Promise<Object>} - Axios response
    */
-  extractPublicIdentifier(linkedinUrl) {
-    if (!linkedinUrl) return null;
+  async match(path, body, count, onLookups, config = {}) {
+    let rateLimited = false;
 
-    // Match /in/username or /in/username/
-    const match = linkedinUrl.match(/linkedin\.com\/in\/([^\/\?]+)/);
-    return match ? match[1] : null;
+    try {
+      const response = await this.client.post(path, { api_key: this.apiKey, ...body }, config);
+      this.updatePacing(response.headers);
+      return response;
+    } catch (error) {
+      rateLimited = error.response?.status === 429;
+      throw error;
+    } finally {
+      if (!rateLimited && onLookups) onLookups(count);
+    }
   }
 
   /**
-   * Enrich a single LinkedIn profile
+   * Enrich a single LinkedIn profile via the API
+   * Definitive results (match or no match) are written to the cache; errors are not.
    * @param {string} linkedinUrl - LinkedIn profile URL
+   * @param {Function} onLookups - Called with 1 once the request has been sent
    * @returns {Promise<Object|null>} - Enriched contact data or null
    */
-  async enrichProfile(linkedinUrl) {
+  async enrichProfile(linkedinUrl, onLookups = null) {
     try {
-      const response = await this.client.post('/people/match', {
-        api_key: this.apiKey,
+      const response = await this.match('/people/match', {
         linkedin_url: linkedinUrl,
         reveal_personal_emails: false,
+      }, 1, onLookups);
+
+      return this.resolveMatch(response.data.person, linkedinUrl);
+    } catch (error) {
+      // A bad key or an open circuit would fail every remaining profile too
+      if (isFatalError(error)) throw error;
+
+      logger.debug('Failed to enrich profile', {
+        linkedinUrl,
+        error: error.response?.data || error.message,
       });
+      return null;
+    }
+  }
 
-      const person = response.data.person;
+  /**
+   * Match up to BULK_MATCH_MAX_SIZE profiles in one request
+   * @param {Array<string>} linkedinUrls - LinkedIn profile URLs
+   * @param {Function} onLookups - Called with the number of profiles once the request has been sent
+   * @returns {Promise<Array<Object|null>>} - Apollo person per URL, in request order (null when unresolved)
+   */
+  async bulkMatch(linkedinUrls, onLookups = null) {
+    const response = await this.match('/people/bulk_match', {
+      details: linkedinUrls.map(linkedinUrl => ({ linkedin_url: linkedinUrl })),
+      reveal_personal_emails: false,
+    }, linkedinUrls.length, onLookups, {
+      // enrichProfiles backs off and falls back to single matches on 429s, so they mustn't open the circuit
+      countRateLimits: false,
+    });
 
-      if (!person) {
-        logger.debug('No person data found', { linkedinUrl });
-        return null;
-      }
+    const matches = response.data.matches || [];
+    return linkedinUrls.map((_, index) => matches[index] || null);
+  }
 
-      // Check if email exists and is verified (not guessed)
-      const email = person.email;
-      const emailStatus = person.email_status;
+  /**
+   * Turn an Apollo person into a contact and cache the outcome
+   * @param {Object|null} person - Apollo person record
+   * @param {string} linkedinUrl - Profile URL that was looked up
+   * @returns {Object|null} - Contact, or null when there is no verified email
+   */
+  resolveMatch(person, linkedinUrl) {
+    const cacheKey = this.getCacheKey(linkedinUrl);
 
-      // Only accept verified emails, reject guessed ones
-      if (!email || emailStatus === 'guessed' || emailStatus === 'unavailable') {
-        logger.debug('Email not verified or unavailable', {
-          linkedinUrl,
-          emailStatus,
-          hasEmail: !!email,
-        });
-        return null;
-      }
+    if (!person) {
+      logger.debug('No person data found', { linkedinUrl });
+      this.cache.set(cacheKey, null);
+      return null;
+    }
+
+    const email = person.email;
+    const emailStatus = person.email_status;
+
+    // Only accept statuses the provider rules allow (guessed and unavailable by default never are)
+    if (!this.isAcceptedEmail(email, emailStatus)) {
+      logger.debug('Email not verified or unavailable', {
+        linkedinUrl,
+        emailStatus,
+        hasEmail: !!email,
+      });
+      this.cache.set(cacheKey, null);
+      return null;
+    }
+
+    const contact = {
+      email: email,
+      firstName: person.first_name || '',
+      lastName: person.last_name || '',
+      title: person.title || '',
+      companyName: person.organization?.name || person.company || '',
+      companyDomain: person.organization?.primary_domain || '',
+      seniority: person.seniority || '',
+      linkedinUrl: linkedinUrl,
+      emailStatus: emailStatus,
+      provider: this.name,
+    };
 
-      return {
-        email: email,
-        firstName: person.first_name || '',
-        lastName: person.last_name || '',
-        title: person.title || '',
-        companyName: person.organization?.name || person.company || '',
-        linkedinUrl: linkedinUrl,
-        emailStatus: emailStatus,
-      };
+    this.cache.set(cacheKey, contact);
+    return contact;
+  }
+
+  /**
+   * Enrich one batch through bulk match, falling back to single matches for what it can't resolve
+   * @param {Array<Object>} batch - Engager records
+   * @param {Object} lookups - { getAllowance, onLookups } from enrichProfiles
+   * @returns {Promise<Array<Object|null|undefined>|null>} - Contact per engager (undefined when the allowance ran
+   *   out before its single match), or null if rate limited (retry the batch)
+   */
+  async enrichBatch(batch, lookups) {
+    const urls = batch.map(engager => engager.profileUrl);
+    let people;
+
+    try {
+      people = await this.bulkMatch(urls, lookups.onLookups);
     } catch (error) {
-      // Handle rate limiting
+      if (isFatalError(error)) throw error;
+
       if (error.response?.status === 429) {
-        logger.warn('Apollo rate limit hit, waiting before retry', { linkedinUrl });
-        await this.sleep(5000);
-        return this.enrichProfile(linkedinUrl);
+        this.backOff(error.response);
+        return null;
       }
 
-      logger.debug('Failed to enrich profile', {
-        linkedinUrl,
+      logger.warn('Apollo bulk match failed, falling back to single matches', {
+        batchSize: batch.length,
         error: error.response?.data || error.message,
       });
-      return null;
+      return this.enrichSingly(urls, lookups);
+    }
+
+    const unresolved = urls.filter((_, index) => !people[index]);
+    const singles = unresolved.length > 0 ? await this.enrichSingly(unresolved, lookups) : [];
+
+    if (unresolved.length > 0) {
+      logger.debug('Bulk match left records unresolved, retried singly', {
+        unresolved: unresolved.length,
+        resolved: singles.filter(Boolean).length,
+      });
     }
+
+    return urls.map((url, index) => (
+      people[index] ? this.resolveMatch(people[index], url) : singles[unresolved.indexOf(url)]
+    ));
   }
 
   /**
-   * Enrich multiple LinkedIn profiles with rate limiting
-   * @param {Array<string>} linkedinUrls - Array of LinkedIn profile URLs
-   * @param {number} concurrency - Number of concurrent requests
-   * @param {number} delayMs - Delay between batches in milliseconds
-   * @returns {Promise<Array<Object>>} - Array of enriched contacts
+   * Single-match a list of profiles one at a time, paced like bulk requests
+   * Each match is a lookup of its own, so the allowance is checked before every request.
+   * @param {Array<string>} linkedinUrls - LinkedIn profile URLs
+   * @param {Object} lookups - { getAllowance, onLookups } from enrichProfiles
+   * @returns {Promise<Array<Object|null|undefined>>} - Contact per URL; undefined once the allowance ran out
    */
-  async enrichProfiles(linkedinUrls, concurrency = 5, delayMs = 1000) {
-    logger.info('Starting Apollo enrichment', { totalProfiles: linkedinUrls.length });
+  async enrichSingly(linkedinUrls, { getAllowance, onLookups }) {
+    const results = linkedinUrls.map(() => undefined);
 
-    const enrichedContacts = [];
-    const batches = this.chunkArray(linkedinUrls, concurrency);
+    for (const [index, linkedinUrl] of linkedinUrls.entries()) {
+      if (getAllowance() <= 0) {
+        logger.warn('Enrichment budget exhausted, skipping remaining single matches', {
+          skipped: linkedinUrls.length - index,
+        });
+        break;
+      }
 
-    let processed = 0;
+      if (index > 0) await this.sleep(this.pacing.delayMs);
+      results[index] = await this.enrichProfile(linkedinUrl, onLookups);
+    }
 
-    for (const batch of batches) {
-      const promises = batch.map(url => this.enrichProfile(url));
-      const results = await Promise.all(promises);
+    return results;
+  }
+
+  /**
+   * Enrich multiple engagers via bulk match, serving what we can from the cache
+   * Batch size and pacing adapt to Apollo's rate-limit headers.
+   * @param {Array<Object>} engagers - Engager records from ApifyService.getPostEngagers
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called after each batch with { processed, total, hits, misses, cacheHits }
+   * @param {boolean} options.bypassCache - Look every profile up again (results still refresh the cache)
+   * @param {Function} options.getAllowance - Returns how many more profiles may be looked up (checked before each
+   *   batch and each single match)
+   * @param {Function} options.onLookups - Called with the number of profiles in each request sent to Apollo
+   * @returns {Promise<Object>} - { contacts, cachedUrls, skippedUrls }: enriched contacts (each carrying its
+   *   engager record), profile URLs whose result came from the cache, and ones left out once the allowance ran out
+   */
+  async enrichProfiles(engagers, { onProgress = null, bypassCache = false, getAllowance = () => Infinity, onLookups = null } = {}) {
+    logger.info('Starting Apollo enrichment', { totalProfiles: engagers.length, bypassCache });
+
+    const { cached, uncached: toFetch } = this.partitionCached(engagers, { bypassCache });
+    const cachedUrls = cached.map(({ engager }) => engager.profileUrl);
+    const skippedUrls = [];
+
+    let lookupCount = 0;
+    const lookups = {
+      getAllowance,
+      onLookups: count => {
+        lookupCount += count;
+        if (onLookups) onLookups(count);
+      },
+    };
+
+    const enrichedContacts = cached.map(({ contact }) => contact).filter(Boolean);
+
+    logger.info('Apollo cache lookup', {
+      cacheHits: cachedUrls.length,
+      cacheMisses: bypassCache ? 0 : toFetch.length,
+      bypassCache,
+    });
+
+    const reportProgress = processed => {
+      if (!onProgress) return;
+      onProgress({
+        processed,
+        total: engagers.length,
+        hits: enrichedContacts.length,
+        misses: processed - enrichedContacts.length,
+        cacheHits: cachedUrls.length,
+      });
+    };
 
-      for (const result of results) {
-        if (result) {
-          enrichedContacts.push(result);
+    let processed = cachedUrls.length;
+    reportProgress(processed);
+
+    const pending = [...toFetch];
+    let rateLimitRetries = 0;
+
+    while (pending.length > 0) {
+      const allowance = getAllowance();
+
+      if (allowance <= 0) {
+        skippedUrls.push(...pending.map(engager => engager.profileUrl));
+        logger.warn('Enrichment budget exhausted, skipping remaining profiles', { skipped: pending.length });
+        break;
+      }
+
+      const batch = pending.splice(0, Math.min(this.pacing.batchSize, allowance));
+      let results = await this.enrichBatch(batch, lookups);
+
+      if (!results) {
+        rateLimitRetries++;
+
+        if (rateLimitRetries < MAX_RATE_LIMIT_RETRIES) {
+          // Retry the same records, in a smaller batch once backOff has shrunk it
+          pending.unshift(...batch);
+          await this.sleep(this.pacing.delayMs);
+          continue;
         }
+
+        logger.warn('Apollo bulk match still rate limited, falling back to single matches', {
+          batchSize: batch.length,
+        });
+        results = await this.enrichSingly(batch.map(engager => engager.profileUrl), lookups);
       }
 
+      rateLimitRetries = 0;
+
+      results.forEach((result, index) => {
+        if (result === undefined) {
+          skippedUrls.push(batch[index].profileUrl);
+        } else if (result) {
+          enrichedContacts.push({ ...result, engager: batch[index] });
+        }
+      });
+
+      this.cache.save();
+
       processed += batch.length;
-      logger.debug(`Enrichment progress: ${processed}/${linkedinUrls.length}`);
+      logger.debug(`Enrichment progress: ${processed}/${engagers.length}`, { ...this.pacing });
+      reportProgress(processed);
 
-      // Delay between batches to avoid rate limiting
-      if (batches.indexOf(batch) < batches.length - 1) {
-        await this.sleep(delayMs);
+      if (pending.length > 0) {
+        await this.sleep(this.pacing.delayMs);
       }
     }
 
-    logger.step('Profiles enriched with verified emails', enrichedContacts.length);
-    return enrichedContacts;
+    logger.step('Profiles enriched with verified emails', enrichedContacts.length, {
+      cacheHits: cachedUrls.length,
+      apiLookups: lookupCount,
+      budgetSkipped: skippedUrls.length,
+    });
+    return { contacts: enrichedContacts, cachedUrls, skippedUrls };
   }
 
   /**
-   * Split array into chunks
-   * @param {Array} array - Array to chunk
-   * @param {number} size - Chunk size
-   * @returns {Array<Array>} - Array of chunks
+   * Adjust batch size and delay from Apollo's per-minute rate-limit headers
+   * @param {Object} headers - Response headers
    */
-  chunkArray(array, size) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += size) {
-      chunks.push(array.slice(i, i + size));
+  updatePacing(headers = {}) {
+    const limit = parseInt(headers['x-rate-limit-minute'], 10);
+    const remaining = parseInt(headers['x-minute-requests-left'], 10);
+
+    if (Number.isNaN(remaining)) return;
+
+    if (remaining <= 0) {
+      this.pacing.delayMs = RATE_LIMIT_WINDOW_MS;
+    } else if (!Number.isNaN(limit) && remaining < limit * LOW_HEADROOM_RATIO) {
+      // Spread what's left of the minute instead of running into a 429
+      this.pacing.delayMs = Math.ceil(RATE_LIMIT_WINDOW_MS / remaining);
+    } else {
+      this.pacing.delayMs = MIN_BATCH_DELAY_MS;
+      this.pacing.batchSize = Math.min(BULK_MATCH_MAX_SIZE, this.pacing.batchSize * 2);
     }
-    return chunks;
+  }
+
+  /**
+   * Shrink batches and wait out a 429
+   * @param {Object} response - 429 response
+   */
+  backOff(response) {
+    this.pacing.batchSize = Math.max(1, Math.floor(this.pacing.batchSize / 2));
+    this.pacing.delayMs = parseRetryAfter(response?.headers?.['retry-after']) ?? Math.max(this.pacing.delayMs * 2, 5000);
+
+    logger.warn('Apollo rate limit hit, backing off', { ...this.pacing });
   }
 
   sleep(ms) {
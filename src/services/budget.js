@@ -0,0 +1,113 @@
+/**
+ * Enrichment credit budgets: per run, per day and per Slack user per day
+ * Every profile sent to an enrichment provider counts as one credit; cache hits are free.
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+// Days of spend history kept in the store
+const HISTORY_DAYS = 31;
+
+class CreditBudget {
+  constructor() {
+    // 0 or unset means no limit
+    this.limits = {
+      run: parseInt(process.env.ENRICHMENT_BUDGET_PER_RUN, 10) || 0,
+      day: parseInt(process.env.ENRICHMENT_BUDGET_PER_DAY, 10) || 0,
+      user: parseInt(process.env.ENRICHMENT_BUDGET_PER_USER, 10) || 0,
+    };
+
+    this.store = new JsonStore('budget', { days: {} });
+    this.prune();
+  }
+
+  isEnabled() {
+    return Object.values(this.limits).some(limit => limit > 0);
+  }
+
+  /**
+   * Remaining allowance and which budget limits it
+   * @param {string} userId - Slack user who started the run (may be null)
+   * @param {number} runSpent - Lookups this run has already made
+   * @returns {Object} - { allowance, limitedBy }: limitedBy is 'run', 'day', 'user' or null when unlimited
+   */
+  check(userId, runSpent = 0) {
+    const today = this.getDay();
+    const remaining = {
+      run: this.limits.run > 0 ? this.limits.run - runSpent : Infinity,
+      day: this.limits.day > 0 ? this.limits.day - today.total : Infinity,
+      user: this.limits.user > 0 && userId ? this.limits.user - (today.users[userId] || 0) : Infinity,
+    };
+
+    const [limitedBy, allowance] = Object.entries(remaining).sort((a, b) => a[1] - b[1])[0];
+
+    return {
+      allowance: Math.max(0, allowance),
+      limitedBy: allowance === Infinity ? null : limitedBy,
+    };
+  }
+
+  /**
+   * Lookups still allowed right now
+   * @param {string} userId - Slack user who started the run
+   * @param {number} runSpent - Lookups this run has already made
+   * @returns {number} - Infinity when no budget applies
+   */
+  getAllowance(userId, runSpent = 0) {
+    return this.check(userId, runSpent).allowance;
+  }
+
+  /**
+   * Record lookups against today's budgets
+   * @param {string} userId - Slack user who started the run
+   * @param {number} count - Profiles sent to a provider
+   */
+  recordSpend(userId, count) {
+    if (count <= 0) return;
+
+    const today = this.getDay();
+    today.total += count;
+    if (userId) {
+      today.users[userId] = (today.users[userId] || 0) + count;
+    }
+
+    this.store.save();
+    logger.debug('Enrichment spend recorded', { userId, count, dayTotal: today.total });
+  }
+
+  /**
+   * Today's daily budget for the summary
+   * @returns {Object|null} - { remaining, limit }, or null without a daily budget
+   */
+  getDailyStatus() {
+    if (!this.limits.day) return null;
+
+    const { total } = this.getDay();
+    return { remaining: Math.max(0, this.limits.day - total), limit: this.limits.day };
+  }
+
+  /**
+   * Today's spend record (UTC day), created on first use
+   */
+  getDay(date = new Date()) {
+    const key = date.toISOString().slice(0, 10);
+
+    if (!this.store.data.days[key]) {
+      this.store.data.days[key] = { total: 0, users: {} };
+    }
+    return this.store.data.days[key];
+  }
+
+  prune() {
+    const cutoff = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const stale = Object.keys(this.store.data.days).filter(day => day < cutoff);
+
+    for (const day of stale) {
+      delete this.store.data.days[day];
+    }
+    if (stale.length > 0) this.store.save();
+  }
+}
+
+module.exports = CreditBudget;
@@ -0,0 +1,80 @@
+/**
+ * Enrichment cache with separate TTLs for hits and negative results
+ * Keyed by canonical LinkedIn public identifier so URL variants share one entry
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EnrichmentCache {
+  /**
+   * @param {string} name - Store name (one cache file per provider)
+   */
+  constructor(name) {
+    this.hitTtlMs = (parseFloat(process.env.ENRICHMENT_CACHE_TTL_DAYS) || 30) * DAY_MS;
+    this.missTtlMs = (parseFloat(process.env.ENRICHMENT_CACHE_MISS_TTL_DAYS) || 7) * DAY_MS;
+
+    this.store = new JsonStore(name, { entries: {} });
+    this.prune();
+  }
+
+  /**
+   * Get a cached result
+   * @param {string} key - Canonical public identifier
+   * @returns {Object|undefined} - { contact } where contact is null for a cached miss, or undefined if not cached
+   */
+  get(key) {
+    if (!key) return undefined;
+
+    const entry = this.store.data.entries[key];
+    if (!entry || this.isExpired(entry)) return undefined;
+
+    return { contact: entry.contact };
+  }
+
+  /**
+   * Cache a result (call save() to persist)
+   * @param {string} key - Canonical public identifier
+   * @param {Object|null} contact - Enriched contact, or null for a definitive miss
+   */
+  set(key, contact) {
+    if (!key) return;
+
+    this.store.data.entries[key] = {
+      contact: contact || null,
+      cachedAt: new Date().toISOString(),
+    };
+  }
+
+  save() {
+    this.store.save();
+  }
+
+  isExpired(entry) {
+    const ttl = entry.contact ? this.hitTtlMs : this.missTtlMs;
+    return Date.now() - new Date(entry.cachedAt).getTime() > ttl;
+  }
+
+  /**
+   * Drop expired entries so the file doesn't grow without bound
+   */
+  prune() {
+    let removed = 0;
+
+    for (const [key, entry] of Object.entries(this.store.data.entries)) {
+      if (this.isExpired(entry)) {
+        delete this.store.data.entries[key];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.store.save();
+      logger.debug('Pruned expired cache entries', { store: this.store.name, removed });
+    }
+  }
+}
+
+module.exports = EnrichmentCache;
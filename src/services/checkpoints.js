@@ -0,0 +1,63 @@
+/**
+ * Saved state of runs paused for a decision in Slack (over budget, approval), so they can free their worker slot
+ * and pick up where they stopped once the decision is in
+ * Each run gets its own store (DATA_DIR/checkpoints/<jobId>.json), like RunResults.
+ */
+
+const fs = require('fs');
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+class RunCheckpoints {
+  /**
+   * Save where a run stopped
+   * @param {string} jobId - Job ID
+   * @param {Object} checkpoint - { step, stats, run, card, ... } (see runPipeline)
+   */
+  save(jobId, checkpoint) {
+    const store = new JsonStore(`checkpoints/${jobId}`, {});
+    store.data = { ...checkpoint, jobId, savedAt: new Date().toISOString() };
+    store.save();
+
+    logger.debug('Run checkpoint saved', { jobId, step: checkpoint.step });
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - The saved checkpoint, or null if the run isn't paused
+   */
+  get(jobId) {
+    const store = new JsonStore(`checkpoints/${jobId}`, { step: null });
+    return store.data.step ? store.data : null;
+  }
+
+  /**
+   * Record the decision a paused run was waiting for
+   * @param {string} jobId - Job ID
+   * @param {Object} decision - Outcome from SlackService (approval or budget decision)
+   * @returns {Object|null} - The updated checkpoint, or null if the run isn't paused
+   */
+  decide(jobId, decision) {
+    const checkpoint = this.get(jobId);
+    if (!checkpoint) return null;
+
+    this.save(jobId, { ...checkpoint, decision });
+    return { ...checkpoint, decision };
+  }
+
+  /**
+   * Drop a run's checkpoint once it has finished or failed
+   * @param {string} jobId - Job ID
+   */
+  delete(jobId) {
+    const store = new JsonStore(`checkpoints/${jobId}`, {});
+
+    try {
+      fs.rmSync(store.filePath, { force: true });
+    } catch (error) {
+      logger.warn('Failed to delete run checkpoint', { jobId, error: error.message });
+    }
+  }
+}
+
+module.exports = RunCheckpoints;
@@ -0,0 +1,91 @@
+/**
+ * Base class for lead destinations (the outreach tools leads are pushed to)
+ *
+ * Subclasses implement:
+ * - getCampaign(campaignId) => { id, name, destination }
+ * - addLeads(contacts, campaignId) => normalized result:
+ *   { destination, added, failed, leads } where leads is [{ email, success, error }] when the
+ *   destination reports per-lead outcomes, or null when it only reports totals
+ * - formatLead(contact) => the destination's lead payload, built from getCustomFields
+ */
+
+// Max length of the comment_snippet custom field
+const COMMENT_SNIPPET_LENGTH = 200;
+
+class Destination {
+  /**
+   * @param {string} name - Destination key used in config and messages (e.g. 'smartlead')
+   * @param {string} label - Display name (e.g. 'Smartlead')
+   * @param {string} defaultCampaignId - Campaign used when neither the message nor the channel names one
+   */
+  constructor(name, label, defaultCampaignId = null) {
+    this.name = name;
+    this.label = label;
+    this.defaultCampaignId = defaultCampaignId;
+  }
+
+  /**
+   * Key the lead ledger dedupes pushes under
+   * Smartlead keeps bare campaign IDs so ledgers from before destinations existed still match.
+   * @param {string} campaignId
+   * @returns {string}
+   */
+  getLedgerKey(campaignId) {
+    return `${this.name}:${campaignId}`;
+  }
+
+  /**
+   * Custom fields every destination receives, for personalization
+   * @param {Object} contact - Contact object from our pipeline
+   * @returns {Object} - Field name -> string value
+   */
+  getCustomFields(contact) {
+    const engager = contact.engager || {};
+
+    return {
+      company: contact.companyName || '',
+      title: contact.title || '',
+      linkedin_url: contact.linkedinUrl || '',
+      engagement_type: this.getEngagementType(engager),
+      reaction_type: engager.reactionType || '',
+      comment_snippet: this.getCommentSnippet(engager),
+      post_url: engager.postUrl || '',
+    };
+  }
+
+  /**
+   * Strongest engagement signal for personalization: comment > reaction > author
+   * @param {Object} engager - Engager record
+   * @returns {string}
+   */
+  getEngagementType(engager) {
+    const types = engager.engagementTypes || [];
+    return ['comment', 'reaction', 'author'].find(type => types.includes(type)) || '';
+  }
+
+  /**
+   * First comment, whitespace collapsed and truncated
+   * @param {Object} engager - Engager record
+   * @returns {string}
+   */
+  getCommentSnippet(engager) {
+    const comment = (engager.comments?.[0] || '').replace(/\s+/g, ' ').trim();
+    if (comment.length <= COMMENT_SNIPPET_LENGTH) return comment;
+
+    return `${comment.substring(0, COMMENT_SNIPPET_LENGTH - 1).trimEnd()}…`;
+  }
+
+  async getCampaign() {
+    throw new Error(`${this.label} destination does not implement getCampaign`);
+  }
+
+  async addLeads() {
+    throw new Error(`${this.label} destination does not implement addLeads`);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = Destination;
@@ -0,0 +1,68 @@
+/**
+ * Lead destinations available to the pipeline, chosen per message or per channel
+ * A destination is available when its API key is set; asking for one when none is set throws.
+ */
+
+const logger = require('../utils/logger');
+const SmartleadService = require('./smartlead');
+const InstantlyService = require('./instantly');
+
+// Destination adapters by name, with the env var that enables each
+const DESTINATIONS = {
+  smartlead: { Service: SmartleadService, apiKeyVar: 'SMARTLEAD_API_KEY' },
+  instantly: { Service: InstantlyService, apiKeyVar: 'INSTANTLY_API_KEY' },
+};
+
+class DestinationRouter {
+  constructor() {
+    this.destinations = new Map();
+
+    for (const [name, { Service, apiKeyVar }] of Object.entries(DESTINATIONS)) {
+      if (process.env[apiKeyVar]) {
+        this.destinations.set(name, new Service());
+      }
+    }
+
+    // Used when neither the message nor the channel names a destination
+    this.defaultName = (process.env.DEFAULT_DESTINATION || [...this.destinations.keys()][0] || '').toLowerCase() || null;
+    if (this.defaultName) this.get(this.defaultName);
+
+    logger.info('Lead destinations', { available: [...this.destinations.keys()], default: this.defaultName });
+  }
+
+  /**
+   * Get a destination by name
+   * @param {string} name - Destination name, or null for the default
+   * @returns {Destination}
+   */
+  get(name = null) {
+    if (this.destinations.size === 0) {
+      const vars = Object.values(DESTINATIONS).map(({ apiKeyVar }) => apiKeyVar);
+      throw new Error(`No lead destination configured: set ${vars.join(' or ')}`);
+    }
+
+    const key = (name || this.defaultName).toLowerCase();
+    const destination = this.destinations.get(key);
+
+    if (!destination) {
+      if (!DESTINATIONS[key]) {
+        throw new Error(`Unknown destination "${name}" (available: ${Object.keys(DESTINATIONS).join(', ')})`);
+      }
+      throw new Error(`Destination "${key}" is not configured: set ${DESTINATIONS[key].apiKeyVar}`);
+    }
+
+    return destination;
+  }
+
+  /**
+   * Whether a destination (or the default one) has its API key set
+   * @param {string} name - Destination name, or null for the default
+   * @returns {boolean}
+   */
+  isAvailable(name = null) {
+    const key = (name || this.defaultName || '').toLowerCase();
+    return this.destinations.has(key);
+  }
+}
+
+module.exports = DestinationRouter;
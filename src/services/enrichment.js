@@ -0,0 +1,233 @@
+/**
+ * Enrichment waterfall: tries an ordered chain of providers, passing profiles
+ * one provider can't resolve on to the next
+ */
+
+const logger = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const ApolloService = require('./apollo');
+
+// Provider implementations by config name
+const PROVIDERS = {
+  apollo: ApolloService,
+};
+
+class EnrichmentWaterfall {
+  /**
+   * Providers come from the pipeline config, in order:
+   * { "enrichment": { "providers": [{ "name": "apollo", "acceptEmailStatuses": ["verified"] }] } }
+   * @param {Array<EnrichmentProvider>} providers - Use these instead of the config (e.g. in tests)
+   */
+  constructor(providers = null) {
+    this.providers = providers || this.createProviders(getConfig('enrichment').providers || [{ name: 'apollo' }]);
+
+    if (this.providers.length === 0) {
+      throw new Error('At least one enrichment provider must be configured');
+    }
+
+    logger.info('Enrichment providers', { order: this.providers.map(provider => provider.name) });
+  }
+
+  /**
+   * Instantiate providers from their config entries
+   * @param {Array<Object>} entries - [{ name, ...providerOptions }]
+   * @returns {Array<EnrichmentProvider>}
+   */
+  createProviders(entries) {
+    return entries.map(({ name, ...options }) => {
+      const Provider = PROVIDERS[name?.toLowerCase()];
+      if (!Provider) {
+        throw new Error(`Unknown enrichment provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+      return new Provider(options);
+    });
+  }
+
+  /**
+   * Split engagers by the first provider's cache (estimates the lookups a run needs)
+   * @param {Array<Object>} engagers - Engager records
+   * @param {Object} options - { bypassCache }
+   * @returns {Object} - { cached, uncached } from the first provider
+   */
+  partitionCached(engagers, options = {}) {
+    return this.providers[0].partitionCached(engagers, options);
+  }
+
+  /**
+   * Run engagers through each provider in turn
+   * @param {Array<Object>} engagers - Engager records
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { provider, processed, total, hits, misses, cacheHits }
+   * @param {boolean} options.bypassCache - Ignore every provider's cache
+   * @param {Function} options.getAllowance - Returns how many more lookups the budget allows (shared by all providers)
+   * @param {Function} options.onLookups - Called with the number of profiles sent to a provider
+   * @returns {Promise<Object>} - { contacts, cachedUrls, skippedUrls, byProvider }: contacts carry `provider`;
+   *   byProvider maps provider name to emails supplied
+   */
+  async enrichProfiles(engagers, { onProgress = null, bypassCache = false, getAllowance = () => Infinity, onLookups = null } = {}) {
+    const contacts = [];
+    const cachedUrls = new Set();
+    const byProvider = {};
+    const skippedUrls = [];
+    let remaining = engagers;
+
+    for (const provider of this.providers) {
+      if (remaining.length === 0) break;
+
+      const result = await provider.enrichProfiles(remaining, {
+        bypassCache,
+        getAllowance,
+        onLookups,
+        onProgress: onProgress && (progress => onProgress({ provider: provider.name, ...progress })),
+      });
+
+      contacts.push(...result.contacts);
+      result.cachedUrls.forEach(url => cachedUrls.add(url));
+      byProvider[provider.name] = (byProvider[provider.name] || 0) + result.contacts.length;
+
+      // The budget is shared, so once it runs out later providers can't afford skipped profiles either
+      const resolved = new Set(result.contacts.map(contact => contact.engager.profileUrl));
+      const skipped = new Set(result.skippedUrls);
+      skippedUrls.push(...result.skippedUrls);
+      remaining = remaining.filter(engager => !resolved.has(engager.profileUrl) && !skipped.has(engager.profileUrl));
+
+      logger.info('Enrichment provider finished', {
+        provider: provider.name,
+        emails: result.contacts.length,
+        passedOn: remaining.length,
+        budgetSkipped: skipped.size,
+      });
+    }
+
+    return { contacts, cachedUrls: [...cachedUrls], skippedUrls, byProvider };
+  }
+
+  /**
+   * Start enriching engagers while they're still being scraped
+   * @param {Object} options - As enrichProfiles
+   * @returns {EnrichmentStream}
+   */
+  createStream(options = {}) {
+    return new EnrichmentStream(this, options);
+  }
+}
+
+/**
+ * Enriches engagers chunk by chunk as scraping hands them over, one chunk at a time
+ * Once a chunk's lookups would go over the budget, it and every later chunk are deferred, so the
+ * over-budget decision can be made on the rest once scraping has finished.
+ */
+class EnrichmentStream {
+  /**
+   * @param {EnrichmentWaterfall} waterfall - Providers to enrich through
+   * @param {Object} options - As enrichProfiles; progress counts are totals across chunks
+   */
+  constructor(waterfall, { onProgress = null, getAllowance = () => Infinity, ...options } = {}) {
+    this.waterfall = waterfall;
+    this.options = options;
+    this.getAllowance = getAllowance;
+    this.onProgress = onProgress;
+
+    this.streamed = [];
+    this.deferred = [];
+    this.queued = 0;
+    this.result = { contacts: [], cachedUrls: [], skippedUrls: [], byProvider: {} };
+
+    // Progress of finished chunks per provider, added to the running chunk's
+    this.progressBase = {};
+    this.stopped = false;
+    this.error = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Queue engagers for enrichment
+   * @param {Array<Object>} engagers - Engager records not pushed before
+   */
+  push(engagers) {
+    if (engagers.length === 0) return;
+
+    this.queued += engagers.length;
+    this.queue = this.queue.then(() => this.enrichChunk(engagers));
+  }
+
+  async enrichChunk(engagers) {
+    if (this.stopped || this.error) return;
+
+    const last = {};
+    try {
+      const { uncached } = this.waterfall.partitionCached(engagers, this.options);
+      if (this.deferred.length > 0 || uncached.length > this.getAllowance()) {
+        this.deferred.push(...engagers);
+        return;
+      }
+
+      const result = await this.waterfall.enrichProfiles(engagers, {
+        ...this.options,
+        getAllowance: this.getAllowance,
+        onProgress: progress => {
+          last[progress.provider] = progress;
+          this.reportProgress(progress);
+        },
+      });
+
+      this.streamed.push(...engagers);
+      this.result.contacts.push(...result.contacts);
+      this.result.cachedUrls.push(...result.cachedUrls);
+      this.result.skippedUrls.push(...result.skippedUrls);
+      for (const [provider, count] of Object.entries(result.byProvider)) {
+        this.result.byProvider[provider] = (this.result.byProvider[provider] || 0) + count;
+      }
+    } catch (error) {
+      // Kept for finish(), so a failed chunk doesn't surface as an unhandled rejection
+      this.error = error;
+      return;
+    }
+
+    for (const [provider, progress] of Object.entries(last)) {
+      const base = this.progressBase[provider] || { processed: 0, hits: 0, misses: 0, cacheHits: 0 };
+      this.progressBase[provider] = {
+        processed: base.processed + progress.total,
+        hits: base.hits + progress.hits,
+        misses: base.misses + progress.misses,
+        cacheHits: base.cacheHits + (progress.cacheHits || 0),
+      };
+    }
+  }
+
+  reportProgress({ provider, processed, hits, misses, cacheHits = 0 }) {
+    if (!this.onProgress) return;
+
+    const base = this.progressBase[provider] || { processed: 0, hits: 0, misses: 0, cacheHits: 0 };
+    this.onProgress({
+      provider,
+      processed: base.processed + processed,
+      total: this.queued,
+      hits: base.hits + hits,
+      misses: base.misses + misses,
+      cacheHits: base.cacheHits + cacheHits,
+    });
+  }
+
+  /**
+   * Wait for queued chunks to finish
+   * @returns {Promise<Object>} - enrichProfiles' result for the streamed engagers, plus { streamed, deferred }:
+   *   engagers that went through enrichment and ones deferred by the budget
+   */
+  async finish() {
+    await this.queue;
+    if (this.error) throw this.error;
+
+    return { ...this.result, streamed: this.streamed, deferred: this.deferred };
+  }
+
+  /**
+   * Drop chunks that haven't started and wait for the running one (e.g. when scraping fails)
+   */
+  async stop() {
+    this.stopped = true;
+    await this.queue;
+  }
+}
+
+module.exports = EnrichmentWaterfall;
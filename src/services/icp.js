@@ -0,0 +1,133 @@
+/**
+ * ICP (ideal customer profile) filter for enriched contacts
+ * Rules come from the `icp` section of the pipeline config
+ */
+
+const logger = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+/**
+ * Fields a rule can filter on, and how list entries are matched against them
+ * - keyword: case-insensitive substring match (title "Senior Recruiter" matches "recruiter")
+ * - exact: case-insensitive equality (Apollo seniority values like "c_suite", "vp")
+ * - domain: matches the domain or any subdomain of it
+ */
+const RULE_FIELDS = {
+  title: { match: 'keyword', values: contact => [contact.title] },
+  seniority: { match: 'exact', values: contact => [contact.seniority] },
+  company: { match: 'keyword', values: contact => [contact.companyName] },
+  domain: {
+    match: 'domain',
+    values: contact => [contact.companyDomain, contact.email?.split('@')[1]],
+  },
+};
+
+class IcpFilter {
+  constructor() {
+    // e.g. { "title": { "include": ["founder"], "exclude": ["student"] }, "domain": { "exclude": ["ourco.com"] } }
+    this.rules = this.buildRules(getConfig('icp'));
+  }
+
+  /**
+   * Turn the config section into an ordered rule list (all excludes, then includes)
+   * @param {Object} config - `icp` config section
+   * @returns {Array<Object>} - Rules with name, field, mode and normalized list
+   */
+  buildRules(config) {
+    const rules = [];
+
+    for (const mode of ['exclude', 'include']) {
+      for (const [field, { match }] of Object.entries(RULE_FIELDS)) {
+        const list = config[field]?.[mode];
+        if (!Array.isArray(list) || list.length === 0) continue;
+
+        rules.push({
+          name: `${field} ${mode}`,
+          field,
+          mode,
+          match,
+          list: list.map(entry => entry.toString().toLowerCase().trim()),
+        });
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * @returns {boolean} - Whether any rules are configured
+   */
+  isEnabled() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Find the list entry a value matches, if any
+   * @param {string} value - Contact field value
+   * @param {Object} rule - Rule to check
+   * @returns {string|null} - Matching list entry
+   */
+  findMatch(value, rule) {
+    if (!value) return null;
+    const normalized = value.toString().toLowerCase().trim();
+
+    return rule.list.find(entry => {
+      if (rule.match === 'exact') return normalized === entry;
+      if (rule.match === 'domain') return normalized === entry || normalized.endsWith(`.${entry}`);
+      return normalized.includes(entry);
+    }) || null;
+  }
+
+  /**
+   * Check a contact against every rule
+   * @param {Object} contact - Enriched contact
+   * @returns {Object|null} - { rule, reason } for the first rule that drops it, or null if it qualifies
+   */
+  evaluate(contact) {
+    for (const rule of this.rules) {
+      const values = RULE_FIELDS[rule.field].values(contact).filter(Boolean);
+      const match = values.map(value => this.findMatch(value, rule)).find(Boolean);
+
+      if (rule.mode === 'exclude' && match) {
+        return { rule: rule.name, reason: `${rule.field} matches "${match}"` };
+      }
+
+      if (rule.mode === 'include' && !match) {
+        return {
+          rule: rule.name,
+          reason: values.length > 0 ? `${rule.field} "${values[0]}" not in include list` : `no ${rule.field}`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split contacts into qualified and rejected
+   * @param {Array<Object>} contacts - Enriched contacts
+   * @returns {Object} - { qualified, rejected: [{ contact, rule, reason }], dropsByRule: { [rule]: count } }
+   */
+  filter(contacts) {
+    const qualified = [];
+    const rejected = [];
+    const dropsByRule = {};
+
+    for (const contact of contacts) {
+      const verdict = this.evaluate(contact);
+
+      if (verdict) {
+        rejected.push({ contact, ...verdict });
+        dropsByRule[verdict.rule] = (dropsByRule[verdict.rule] || 0) + 1;
+      } else {
+        qualified.push(contact);
+      }
+    }
+
+    logger.step('Leads passed ICP filter', qualified.length, { rejected: rejected.length, dropsByRule });
+
+    return { qualified, rejected, dropsByRule };
+  }
+}
+
+module.exports = IcpFilter;
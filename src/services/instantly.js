@@ -0,0 +1,135 @@
+/**
+ * Instantly service for adding leads to email campaigns (API v2)
+ * Destination adapter (see Destination)
+ */
+
+const logger = require('../utils/logger');
+const { createHttpClient, isFatalError } = require('../utils/http');
+const Destination = require('./destination');
+
+const INSTANTLY_API_BASE = 'https://api.instantly.ai/api/v2';
+
+// Delay between single-lead creates
+const LEAD_DELAY_MS = 200;
+
+class InstantlyService extends Destination {
+  constructor() {
+    // Default campaign is used when neither the message nor the channel config names one
+    super('instantly', 'Instantly', process.env.INSTANTLY_CAMPAIGN_ID || null);
+
+    this.apiKey = process.env.INSTANTLY_API_KEY;
+
+    if (!this.apiKey) {
+      throw new Error('INSTANTLY_API_KEY is required');
+    }
+
+    this.client = createHttpClient({
+      service: 'Instantly',
+      baseURL: process.env.INSTANTLY_API_BASE || INSTANTLY_API_BASE,
+      maxAttempts: 3,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`,
+      },
+    });
+  }
+
+  /**
+   * Format a contact for the Instantly API
+   * @param {Object} contact - Contact object from our pipeline
+   * @param {string} campaignId - Target Instantly campaign
+   * @returns {Object} - Lead payload for POST /leads
+   */
+  formatLead(contact, campaignId) {
+    const customFields = this.getCustomFields(contact);
+
+    return {
+      campaign: campaignId,
+      email: contact.email,
+      first_name: contact.firstName || '',
+      last_name: contact.lastName || '',
+      company_name: customFields.company,
+      // Instantly dedupes within the campaign itself
+      skip_if_in_campaign: true,
+      custom_variables: customFields,
+    };
+  }
+
+  /**
+   * Look up a campaign's name for display
+   * @param {string} campaignId - Instantly campaign ID
+   * @returns {Promise<Object>} - { id, name, destination }; name falls back to the ID if the lookup fails
+   */
+  async getCampaign(campaignId) {
+    try {
+      const response = await this.client.get(`/campaigns/${campaignId}`);
+      return { id: campaignId, name: response.data?.name || campaignId, destination: this.label };
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+
+      logger.warn('Failed to look up Instantly campaign', {
+        campaignId,
+        error: error.response?.data || error.message,
+      });
+      return { id: campaignId, name: campaignId, destination: this.label };
+    }
+  }
+
+  /**
+   * Add leads to a campaign one at a time, so every lead gets its own outcome
+   * @param {Array<Object>} contacts - Array of contact objects
+   * @param {string} campaignId - Target Instantly campaign
+   * @returns {Promise<Object>} - Normalized result (see Destination)
+   */
+  async addLeads(contacts, campaignId) {
+    if (!campaignId) {
+      throw new Error('No Instantly campaign specified');
+    }
+
+    logger.info('Adding leads to Instantly campaign', {
+      totalLeads: contacts.length,
+      campaignId,
+    });
+
+    let addedCount = 0;
+    let failedCount = 0;
+    const results = [];
+
+    for (const contact of contacts) {
+      try {
+        const response = await this.client.post('/leads', this.formatLead(contact, campaignId));
+
+        results.push({ success: true, email: contact.email, response: response.data });
+        addedCount++;
+      } catch (error) {
+        // A bad key or an open circuit would fail every remaining lead the same way
+        if (isFatalError(error)) throw error;
+
+        results.push({
+          success: false,
+          email: contact.email,
+          error: error.response?.data || error.message,
+        });
+        failedCount++;
+
+        logger.debug('Failed to add lead to Instantly', {
+          email: contact.email,
+          error: error.response?.data || error.message,
+        });
+      }
+
+      await this.sleep(LEAD_DELAY_MS);
+    }
+
+    logger.step('Leads pushed to Instantly', addedCount, { failed: failedCount });
+
+    return {
+      destination: this.label,
+      added: addedCount,
+      failed: failedCount,
+      leads: results,
+    };
+  }
+}
+
+module.exports = InstantlyService;
@@ -0,0 +1,123 @@
+/**
+ * Lead ledger for deduplicating engagers across pipeline runs
+ * Records every profile URL seen, its enrichment result and the destination push outcome
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+class LeadLedger {
+  constructor() {
+    this.store = new JsonStore('ledger', { profiles: {}, emails: {} });
+  }
+
+  /**
+   * Split engagers into ones never seen before and ones already in the ledger
+   * @param {Array<Object>} engagers - Engager records from Apify
+   * @returns {Object} - { fresh: Array<Object>, known: Array<Object> }
+   */
+  partitionProfiles(engagers) {
+    const fresh = [];
+    const known = [];
+
+    for (const engager of engagers) {
+      if (this.store.data.profiles[engager.profileUrl]?.enrichedAt) {
+        known.push(engager);
+      } else {
+        fresh.push(engager);
+      }
+    }
+
+    return { fresh, known };
+  }
+
+  /**
+   * Record Apollo results for a set of enriched engagers
+   * @param {Array<Object>} engagers - Engager records sent to Apollo
+   * @param {Array<Object>} contacts - Contacts Apollo returned
+   */
+  recordEnrichment(engagers, contacts) {
+    const contactsByUrl = new Map(contacts.map(contact => [contact.linkedinUrl, contact]));
+    const now = new Date().toISOString();
+
+    for (const { profileUrl, postUrls } of engagers) {
+      const existing = this.store.data.profiles[profileUrl] || { firstSeenAt: now, posts: [] };
+
+      // Engagement is per post, so only the Apollo result is kept
+      const { engager, ...contact } = contactsByUrl.get(profileUrl) || {};
+
+      this.store.data.profiles[profileUrl] = {
+        ...existing,
+        contact: contact.email ? contact : null,
+        enrichedAt: now,
+        posts: this.addPosts(existing.posts, postUrls),
+      };
+    }
+
+    this.store.save();
+  }
+
+  /**
+   * Record that known engagers were seen again on other posts
+   * @param {Array<Object>} engagers - Known engager records (with the postUrls they engaged with)
+   */
+  recordSeen(engagers) {
+    for (const { profileUrl, postUrls } of engagers) {
+      const existing = this.store.data.profiles[profileUrl];
+      if (existing) {
+        existing.posts = this.addPosts(existing.posts, postUrls);
+      }
+    }
+
+    this.store.save();
+  }
+
+  /**
+   * Check whether an email was already pushed to a campaign successfully
+   * @param {string} email - Lead email
+   * @param {string} campaignId - Campaign key (see Destination.getLedgerKey)
+   * @returns {boolean}
+   */
+  isPushed(email, campaignId) {
+    return !!this.store.data.emails[email?.toLowerCase()]?.campaigns?.[campaignId]?.success;
+  }
+
+  /**
+   * Record the destination push outcome for a set of contacts
+   * @param {Array<Object>} contacts - Contacts that were pushed
+   * @param {string} campaignId - Campaign key they were pushed to (see Destination.getLedgerKey)
+   * @param {Object} result - Normalized result from Destination.addLeads
+   */
+  recordPush(contacts, campaignId, result) {
+    const now = new Date().toISOString();
+
+    // Individual fallback reports per-lead outcomes; bulk upload only reports totals. When some of a bulk
+    // upload failed we can't tell which leads made it, so their outcome is unknown (null) and they stay eligible
+    const outcomes = new Map(
+      (result.leads || []).map(lead => [lead.email?.toLowerCase(), lead.success])
+    );
+    const defaultOutcome = result.failed > 0 ? null : true;
+
+    for (const contact of contacts) {
+      const email = contact.email.toLowerCase();
+      const existing = this.store.data.emails[email] || { campaigns: {} };
+
+      existing.linkedinUrl = contact.linkedinUrl;
+      existing.campaigns[campaignId] = {
+        success: outcomes.has(email) ? outcomes.get(email) : defaultOutcome,
+        pushedAt: now,
+      };
+
+      this.store.data.emails[email] = existing;
+    }
+
+    this.store.save();
+    logger.debug('Ledger push outcomes recorded', { count: contacts.length });
+  }
+
+  addPosts(posts = [], postUrls = []) {
+    return [...new Set([...posts, ...postUrls])];
+  }
+}
+
+module.exports = LeadLedger;
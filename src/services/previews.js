@@ -0,0 +1,127 @@
+/**
+ * Cache of dry-run lead previews, keyed by Slack thread
+ * Lets a later "push" reply send the previewed leads without re-scraping or re-enriching
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+// Previews older than this can no longer be pushed
+const PREVIEW_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Add up two runs' stats: counts and per-reason breakdowns are summed, everything else comes from the later run
+ * The per-post breakdown is dropped, as it only covers the later run.
+ * @param {Object} earlier - Stats of the run already in the preview
+ * @param {Object} later - Stats of the run being added
+ * @returns {Object} - Combined stats
+ */
+function mergeStats(earlier, later) {
+  const merged = { ...later, posts: undefined, overlap: undefined };
+
+  for (const [key, value] of Object.entries(later)) {
+    const previous = earlier[key];
+
+    if (typeof value === 'number' && typeof previous === 'number') {
+      merged[key] = previous + value;
+    } else if (key.endsWith('ByProvider') || key.endsWith('ByVerdict') || key.endsWith('ByRule')) {
+      merged[key] = { ...previous };
+      for (const [name, count] of Object.entries(value || {})) {
+        merged[key][name] = (merged[key][name] || 0) + count;
+      }
+    }
+  }
+
+  return merged;
+}
+
+class PreviewCache {
+  constructor() {
+    this.store = new JsonStore('previews', { previews: {} });
+  }
+
+  /**
+   * @param {Object} thread - { channel, ts }
+   * @returns {string} - Cache key
+   */
+  getKey(thread) {
+    return `${thread.channel}:${thread.ts}`;
+  }
+
+  /**
+   * Cache the leads a dry run would have pushed
+   * @param {Object} thread - Slack thread the dry run replied in
+   * @param {Object} preview - { leads, destination, campaignId, postUrls, stats }
+   */
+  save(thread, preview) {
+    this.prune();
+
+    this.store.data.previews[this.getKey(thread)] = {
+      ...preview,
+      createdAt: new Date().toISOString(),
+    };
+    this.store.save();
+
+    logger.debug('Dry-run preview cached', { thread, leads: preview.leads.length });
+  }
+
+  /**
+   * Add the leads of another dry run in the same thread (a watch's checks) to its preview,
+   * so a "push" reply sends every check's leads rather than only the last one's
+   * A preview for another destination or campaign is replaced instead.
+   * @param {Object} thread - Slack thread the dry run replied in
+   * @param {Object} preview - { leads, destination, campaignId, postUrls, stats }
+   */
+  merge(thread, preview) {
+    const existing = this.get(thread);
+
+    if (!existing || existing.destination !== preview.destination || existing.campaignId !== preview.campaignId) {
+      this.save(thread, preview);
+      return;
+    }
+
+    const emails = new Set(preview.leads.map(lead => lead.email));
+
+    const leads = [...existing.leads.filter(lead => !emails.has(lead.email)), ...preview.leads];
+
+    this.save(thread, {
+      ...preview,
+      leads,
+      postUrls: [...new Set([...(existing.postUrls || []), ...preview.postUrls])],
+      stats: { ...mergeStats(existing.stats, preview.stats), previewed: leads.length },
+    });
+  }
+
+  /**
+   * @param {Object} thread - Slack thread
+   * @returns {Object|null} - Cached preview, or null if none or expired
+   */
+  get(thread) {
+    const preview = this.store.data.previews[this.getKey(thread)];
+    if (!preview || this.isExpired(preview)) return null;
+    return preview;
+  }
+
+  /**
+   * Remove a preview once it has been pushed
+   * @param {Object} thread - Slack thread
+   */
+  delete(thread) {
+    delete this.store.data.previews[this.getKey(thread)];
+    this.store.save();
+  }
+
+  isExpired(preview) {
+    return Date.now() - new Date(preview.createdAt).getTime() > PREVIEW_TTL_MS;
+  }
+
+  prune() {
+    for (const [key, preview] of Object.entries(this.store.data.previews)) {
+      if (this.isExpired(preview)) {
+        delete this.store.data.previews[key];
+      }
+    }
+  }
+}
+
+module.exports = PreviewCache;
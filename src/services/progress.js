@@ -0,0 +1,275 @@
+/**
+ * Live-updating Slack progress card for a pipeline run
+ * Posted once per run, then edited in place with chat.update as stages progress.
+ * Without a Slack thread the card only tracks state, for onUpdate (e.g. the HTTP API).
+ */
+
+const logger = require('../utils/logger');
+
+const STAGE_ICONS = {
+  pending: '⚪',
+  running: '⏳',
+  done: '✅',
+  skipped: '➖',
+  failed: '❌',
+};
+
+// chat.update is rate limited; coalesce frequent progress updates
+const MIN_UPDATE_INTERVAL_MS = 2000;
+// Refresh elapsed time while a long stage reports no progress of its own
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+class ProgressCard {
+  /**
+   * @param {SlackService} slack - Slack service used to post and update the card, or null
+   * @param {Object} thread - Thread reference the card is posted in, or null
+   * @param {Object} options
+   * @param {string} options.title - Card title
+   * @param {string} options.subtitle - Optional line under the title (e.g. the post URL)
+   * @param {Array<Object>} options.stages - [{ key, label }] in display order
+   * @param {Function} options.onUpdate - Optional, called with getSnapshot() on every (throttled) update
+   */
+  constructor(slack, thread, { title, subtitle = null, stages, onUpdate = null }) {
+    this.slack = slack;
+    this.thread = thread;
+    this.title = title;
+    this.subtitle = subtitle;
+    this.stages = stages.map(stage => ({ ...stage, state: 'pending', detail: '' }));
+    this.summary = null;
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+
+    this.message = null;
+    this.lastUpdateAt = 0;
+    this.pendingTimer = null;
+    this.updateChain = Promise.resolve();
+    this.heartbeat = null;
+    this.onUpdate = onUpdate;
+  }
+
+  /**
+   * Post the card
+   * @returns {Promise<ProgressCard>}
+   */
+  async start() {
+    if (!this.slack || !this.thread) {
+      this.update(true);
+      return this;
+    }
+
+    const response = await this.slack.sendBlocks(this.title, this.buildBlocks(), this.thread);
+    this.message = { channel: response.channel, ts: response.ts };
+    this.lastUpdateAt = Date.now();
+
+    this.heartbeat = setInterval(() => this.update(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref?.();
+
+    return this;
+  }
+
+  /**
+   * Take over a card posted before the run paused, instead of posting a new one
+   * @param {Object} snapshot - getSnapshot() from when the run paused
+   * @param {Object} message - { channel, ts } of the posted card, or null if it was never posted
+   * @returns {ProgressCard}
+   */
+  resume(snapshot, message) {
+    for (const stage of this.stages) {
+      const saved = snapshot.stages.find(s => s.key === stage.key);
+      if (saved) Object.assign(stage, { state: saved.state, detail: saved.detail });
+    }
+
+    this.startedAt = Date.parse(snapshot.startedAt);
+    this.message = this.slack && message;
+
+    if (this.message) {
+      this.heartbeat = setInterval(() => this.update(), HEARTBEAT_INTERVAL_MS);
+      this.heartbeat.unref?.();
+    }
+
+    this.update(true);
+    return this;
+  }
+
+  /**
+   * Stop updating the card while the run is paused, after flushing the latest state
+   * @returns {Promise<void>}
+   */
+  async pause() {
+    clearInterval(this.heartbeat);
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+
+    await this.update(true);
+  }
+
+  /**
+   * Set a stage's state and optional detail text
+   * @param {string} key - Stage key
+   * @param {string} state - pending, running, done, skipped or failed
+   * @param {string} detail - Short detail shown next to the stage
+   */
+  setStage(key, state, detail = null) {
+    const stage = this.stages.find(s => s.key === key);
+    if (!stage) return;
+
+    stage.state = state;
+    if (detail !== null) stage.detail = detail;
+
+    // Stage transitions are shown immediately, detail-only changes are throttled
+    this.update(true);
+  }
+
+  /**
+   * Update only a stage's detail text (e.g. a progress counter)
+   * @param {string} key - Stage key
+   * @param {string} detail - Detail text
+   */
+  setDetail(key, detail) {
+    const stage = this.stages.find(s => s.key === key);
+    if (!stage) return;
+
+    stage.detail = detail;
+    this.update();
+  }
+
+  /**
+   * Finish the card with the run summary
+   * Stages still pending are marked skipped.
+   * @param {string} summary - Summary text (mrkdwn)
+   */
+  async complete(summary) {
+    for (const stage of this.stages) {
+      if (stage.state === 'pending') stage.state = 'skipped';
+      if (stage.state === 'running') stage.state = 'done';
+    }
+
+    this.summary = summary;
+    await this.finish();
+  }
+
+  /**
+   * Finish the card with an error
+   * @param {string} error - Error message
+   */
+  async fail(error) {
+    const running = this.stages.find(stage => stage.state === 'running');
+    if (running) running.state = 'failed';
+
+    for (const stage of this.stages) {
+      if (stage.state === 'pending') stage.state = 'skipped';
+    }
+
+    this.summary = `❌ *Pipeline Error*\n${error}`;
+    await this.finish();
+  }
+
+  async finish() {
+    this.finishedAt = Date.now();
+    clearInterval(this.heartbeat);
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+
+    await this.update(true);
+  }
+
+  /**
+   * Push the current state to Slack
+   * @param {boolean} force - Skip throttling
+   * @returns {Promise<void>}
+   */
+  update(force = false) {
+    if (!this.message && !this.onUpdate) return Promise.resolve();
+
+    const wait = MIN_UPDATE_INTERVAL_MS - (Date.now() - this.lastUpdateAt);
+
+    if (!force && wait > 0) {
+      // Schedule one trailing update to pick up the latest state
+      if (!this.pendingTimer) {
+        this.pendingTimer = setTimeout(() => {
+          this.pendingTimer = null;
+          this.update(true);
+        }, wait);
+      }
+      return this.updateChain;
+    }
+
+    this.lastUpdateAt = Date.now();
+
+    if (this.onUpdate) this.onUpdate(this.getSnapshot());
+    if (!this.message) return this.updateChain;
+
+    // Serialize updates so an older render never lands after a newer one
+    this.updateChain = this.updateChain
+      .then(() => this.slack.updateMessage(this.message, this.title, this.buildBlocks()))
+      .catch(error => logger.warn('Failed to update progress card', { error: error.message }));
+
+    return this.updateChain;
+  }
+
+  /**
+   * Current state of the card as plain data
+   * @returns {Object} - { stages: [{ key, label, state, detail }], summary, startedAt, finishedAt }
+   */
+  getSnapshot() {
+    return {
+      stages: this.stages.map(({ key, label, state, detail }) => ({ key, label, state, detail })),
+      summary: this.summary,
+      startedAt: new Date(this.startedAt).toISOString(),
+      finishedAt: this.finishedAt ? new Date(this.finishedAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * Render the card as Block Kit blocks
+   * @returns {Array<Object>}
+   */
+  buildBlocks() {
+    const stageLines = this.stages.map(stage => {
+      const detail = stage.detail ? ` - ${stage.detail}` : '';
+      return `${STAGE_ICONS[stage.state]} ${stage.label}${detail}`;
+    });
+
+    const elapsed = this.formatDuration((this.finishedAt || Date.now()) - this.startedAt);
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [`*${this.title}*`, this.subtitle].filter(Boolean).join('\n'),
+        },
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: stageLines.join('\n') },
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: this.finishedAt ? `Finished in ${elapsed}` : `Elapsed ${elapsed}`,
+        }],
+      },
+    ];
+
+    if (this.summary) {
+      blocks.push({ type: 'divider' });
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: this.summary } });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Format milliseconds as e.g. "2m 05s"
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+  }
+}
+
+module.exports = ProgressCard;
@@ -0,0 +1,102 @@
+/**
+ * Base class for enrichment providers used by the enrichment waterfall
+ *
+ * A provider turns engager records into contacts with an email. Subclasses implement
+ * enrichProfiles(engagers, options) and resolve to { contacts, cachedUrls, skippedUrls }:
+ * - contacts: { email, firstName, lastName, title, companyName, companyDomain, seniority,
+ *   linkedinUrl, emailStatus, engager, provider } for every engager the provider resolved
+ * - cachedUrls: profile URLs answered from the provider's cache
+ * - skippedUrls: profile URLs left out because the credit allowance ran out
+ * Options are { onProgress, bypassCache, getAllowance, onLookups } (see ApolloService.enrichProfiles).
+ */
+
+const EnrichmentCache = require('./cache');
+
+// Email statuses no provider should treat as deliverable unless configured otherwise
+const DEFAULT_REJECTED_STATUSES = ['guessed', 'unavailable'];
+
+class EnrichmentProvider {
+  /**
+   * @param {string} name - Provider name shown in summaries and exports
+   * @param {Object} options
+   * @param {Array<string>} options.acceptEmailStatuses - Only accept these statuses (any status when unset)
+   * @param {Array<string>} options.rejectEmailStatuses - Never accept these statuses
+   */
+  constructor(name, { acceptEmailStatuses = null, rejectEmailStatuses = DEFAULT_REJECTED_STATUSES } = {}) {
+    this.name = name;
+    this.acceptEmailStatuses = acceptEmailStatuses?.map(status => status.toLowerCase()) || null;
+    this.rejectEmailStatuses = rejectEmailStatuses.map(status => status.toLowerCase());
+
+    // Hits and misses both cost credits, so both are cached (with separate TTLs)
+    this.cache = new EnrichmentCache(`${name.toLowerCase()}-cache`);
+  }
+
+  /**
+   * Check an email against this provider's status rules
+   * @param {string} email - Email address
+   * @param {string} emailStatus - Status reported by the provider
+   * @returns {boolean}
+   */
+  isAcceptedEmail(email, emailStatus) {
+    if (!email) return false;
+
+    const status = (emailStatus || '').toLowerCase();
+    if (this.rejectEmailStatuses.includes(status)) return false;
+    return !this.acceptEmailStatuses || this.acceptEmailStatuses.includes(status);
+  }
+
+  /**
+   * Cache key for a profile: decoded, lower-cased public identifier
+   * @param {string} linkedinUrl - LinkedIn profile URL
+   * @returns {string|null}
+   */
+  getCacheKey(linkedinUrl) {
+    const match = linkedinUrl?.match(/linkedin\.com\/in\/([^\/\?]+)/);
+    if (!match) return null;
+
+    try {
+      return decodeURIComponent(match[1]).toLowerCase();
+    } catch {
+      return match[1].toLowerCase();
+    }
+  }
+
+  /**
+   * Split engagers into ones with a cached result and ones that need a lookup
+   * Cached contacts whose status the rules no longer accept count as cached misses.
+   * @param {Array<Object>} engagers - Engager records
+   * @param {Object} options
+   * @param {boolean} options.bypassCache - Treat every engager as uncached
+   * @returns {Object} - { cached: [{ engager, contact }], uncached: Array<Object> }
+   */
+  partitionCached(engagers, { bypassCache = false } = {}) {
+    const cached = [];
+    const uncached = [];
+
+    for (const engager of engagers) {
+      const entry = bypassCache ? undefined : this.cache.get(this.getCacheKey(engager.profileUrl));
+
+      if (!entry) {
+        uncached.push(engager);
+        continue;
+      }
+
+      const contact = entry.contact && this.isAcceptedEmail(entry.contact.email, entry.contact.emailStatus)
+        ? { ...entry.contact, linkedinUrl: engager.profileUrl, engager, provider: this.name }
+        : null;
+      cached.push({ engager, contact });
+    }
+
+    return { cached, uncached };
+  }
+
+  /**
+   * Enrich engager records: (engagers, { onProgress, bypassCache, getAllowance, onLookups })
+   * @returns {Promise<Object>} - { contacts, cachedUrls, skippedUrls }
+   */
+  async enrichProfiles() {
+    throw new Error(`${this.name} provider does not implement enrichProfiles`);
+  }
+}
+
+module.exports = EnrichmentProvider;
@@ -0,0 +1,256 @@
+/**
+ * Durable FIFO job queue for pipeline runs
+ * Jobs are persisted so runs interrupted by a deploy or crash resume on boot
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+const { parsePostUrl } = require('../utils/linkedin-urls');
+
+const JOB_STATES = ['queued', 'scraping', 'enriching', 'awaiting_budget', 'awaiting_approval', 'pushing', 'done', 'failed'];
+const ACTIVE_STATES = ['scraping', 'enriching', 'pushing'];
+// Paused on a decision in Slack: the job holds no worker slot until resume() queues it again
+const WAITING_STATES = ['awaiting_budget', 'awaiting_approval'];
+const FINISHED_STATES = ['done', 'failed'];
+
+// Finished jobs kept for history, and resume attempts before a job is given up on
+const MAX_FINISHED_JOBS = 200;
+const MAX_ATTEMPTS = 3;
+
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 1;
+    this.store = new JsonStore('jobs', { jobs: [] });
+    this.active = new Set();
+    this.handler = null;
+  }
+
+  /**
+   * Add a pipeline run to the end of the queue
+   * @param {Object} data - Parsed message data
+   * @param {Object} thread - Slack thread for replies ({ channel, ts }), or null for a run without Slack
+   * @returns {Object} - { job, position } where position 0 means it starts immediately
+   */
+  enqueue(data, thread) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      data,
+      thread,
+      state: 'queued',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.store.data.jobs.push(job);
+    this.store.save();
+
+    const position = this.getPosition(job.id);
+    logger.info('Job queued', { jobId: job.id, position });
+
+    this.drain();
+
+    return { job, position };
+  }
+
+  /**
+   * Number of jobs that have to start before this one
+   * @param {string} jobId - Job ID
+   * @returns {number} - 0 if a worker slot is free for it, otherwise its place in line
+   */
+  getPosition(jobId) {
+    const waiting = this.store.data.jobs.filter(j => j.state === 'queued' && !this.active.has(j.id));
+    const index = waiting.findIndex(j => j.id === jobId);
+    if (index === -1) return 0;
+
+    const freeSlots = Math.max(this.concurrency - this.active.size, 0);
+    return Math.max(index + 1 - freeSlots, 0);
+  }
+
+  /**
+   * Update a job's state
+   * @param {string} jobId - Job ID
+   * @param {string} state - One of JOB_STATES
+   * @param {Object} extra - Additional fields to store on the job
+   */
+  setState(jobId, state, extra = {}) {
+    if (!JOB_STATES.includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+
+    const job = this.getJob(jobId);
+    if (!job) return;
+
+    Object.assign(job, extra, { state, updatedAt: new Date().toISOString() });
+    this.store.save();
+
+    logger.debug('Job state changed', { jobId, state });
+  }
+
+  /**
+   * Store fields on a job without changing its state (e.g. progress and stats)
+   * @param {string} jobId - Job ID
+   * @param {Object} extra - Fields to store on the job
+   */
+  update(jobId, extra) {
+    const job = this.getJob(jobId);
+    if (!job) return;
+
+    Object.assign(job, extra, { updatedAt: new Date().toISOString() });
+    this.store.save();
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined}
+   */
+  getJob(jobId) {
+    return this.store.data.jobs.find(j => j.id === jobId);
+  }
+
+  /**
+   * Canonical IDs of the posts a job runs
+   * @param {Object} job - Queue job
+   * @returns {Array<string>}
+   */
+  getPostIds(job) {
+    // Jobs queued before multi-post runs carry a single postUrl
+    return (job.data.postUrls || [job.data.postUrl]).map(url => parsePostUrl(url)?.id || url);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} options
+   * @param {string} options.state - Only jobs in this state
+   * @param {string} options.postId - Only jobs that ran this post (canonical ID from parsePostUrl)
+   * @param {number} options.limit - Max jobs returned
+   * @returns {Array<Object>}
+   */
+  listJobs({ state = null, postId = null, limit = 50 } = {}) {
+    return this.store.data.jobs
+      .filter(j => !state || j.state === state)
+      .filter(j => !postId || this.getPostIds(j).includes(postId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Register the job handler, requeue interrupted jobs and start processing
+   * @param {Function} handler - async (job, setState, update); resolving with { paused: true } after setting
+   *   one of WAITING_STATES leaves the job waiting for resume() instead of finishing it
+   * @returns {Array<Object>} - Jobs that were mid-flight and will be resumed
+   */
+  start(handler) {
+    this.handler = handler;
+
+    const resumed = [];
+    for (const job of this.store.data.jobs) {
+      if (!ACTIVE_STATES.includes(job.state)) continue;
+
+      if (job.attempts >= MAX_ATTEMPTS) {
+        logger.warn('Job exceeded resume attempts, marking failed', { jobId: job.id });
+        Object.assign(job, { state: 'failed', error: 'Interrupted too many times' });
+        continue;
+      }
+
+      logger.info('Resuming interrupted job', { jobId: job.id, interruptedIn: job.state });
+      job.state = 'queued';
+      resumed.push(job);
+    }
+
+    // Move resumed jobs ahead of ones that were still waiting, keeping FIFO among them
+    this.store.data.jobs.sort((a, b) => {
+      const aResumed = resumed.includes(a) ? 0 : 1;
+      const bResumed = resumed.includes(b) ? 0 : 1;
+      return aResumed - bResumed || a.createdAt.localeCompare(b.createdAt);
+    });
+    this.store.save();
+
+    logger.info('Job queue started', {
+      concurrency: this.concurrency,
+      queued: this.store.data.jobs.filter(j => j.state === 'queued').length,
+      resumed: resumed.length,
+    });
+
+    this.drain();
+
+    return resumed;
+  }
+
+  /**
+   * Queue a paused job again once its decision is in
+   * It keeps its place by creation time, so it runs ahead of jobs queued after it.
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - The job, or null if it isn't waiting on a decision
+   */
+  resume(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || !WAITING_STATES.includes(job.state)) return null;
+
+    // A pause isn't an interruption, so it doesn't count toward the resume attempts
+    this.setState(jobId, 'queued', { attempts: 0 });
+    logger.info('Paused job queued again', { jobId });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Start queued jobs while worker slots are free
+   */
+  drain() {
+    if (!this.handler) return;
+
+    while (this.active.size < this.concurrency) {
+      const job = this.store.data.jobs.find(j => j.state === 'queued' && !this.active.has(j.id));
+      if (!job) return;
+
+      this.run(job);
+    }
+  }
+
+  /**
+   * Run a single job through the handler
+   * @param {Object} job - Job to run
+   */
+  async run(job) {
+    this.active.add(job.id);
+    job.attempts += 1;
+    this.store.save();
+
+    try {
+      const result = await this.handler(job, state => this.setState(job.id, state), extra => this.update(job.id, extra));
+
+      // A job that paused for a decision keeps its waiting state (or is queued again if the decision is already in)
+      if (result?.paused) {
+        logger.info('Job paused', { jobId: job.id, state: job.state });
+      } else {
+        this.setState(job.id, 'done');
+        logger.info('Job completed', { jobId: job.id });
+      }
+    } catch (error) {
+      this.setState(job.id, 'failed', { error: error.message });
+      logger.error('Job failed', { jobId: job.id, error: error.message });
+    } finally {
+      this.active.delete(job.id);
+      this.prune();
+      this.drain();
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   */
+  prune() {
+    const finished = this.store.data.jobs.filter(j => FINISHED_STATES.includes(j.state));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    if (excess <= 0) return;
+
+    const drop = new Set(finished.slice(0, excess));
+    this.store.data.jobs = this.store.data.jobs.filter(j => !drop.has(j));
+    this.store.save();
+  }
+}
+
+module.exports = JobQueue;
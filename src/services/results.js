@@ -0,0 +1,61 @@
+/**
+ * Per-run lead results, served by the HTTP API
+ * Each run gets its own store (DATA_DIR/runs/<jobId>.json) so large runs don't bloat the job queue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+
+// Same history as the job queue keeps
+const MAX_RUNS = 200;
+
+class RunResults {
+  /**
+   * Store a finished run's per-engager rows
+   * @param {string} jobId - Job ID
+   * @param {Array<Object>} leads - Rows from buildExportRows
+   */
+  save(jobId, leads) {
+    const store = new JsonStore(`runs/${jobId}`, {});
+    store.data = { jobId, leads, savedAt: new Date().toISOString() };
+    store.save();
+
+    logger.debug('Run results saved', { jobId, leads: leads.length });
+    this.prune(path.dirname(store.filePath));
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Array<Object>|null} - Rows, or null if the run saved none
+   */
+  get(jobId) {
+    // Job IDs come from URLs; never let one point outside the runs directory
+    if (!/^job_[\w-]+$/.test(jobId)) return null;
+
+    const store = new JsonStore(`runs/${jobId}`, { leads: null });
+    return store.data.leads;
+  }
+
+  /**
+   * Delete the oldest results beyond the history limit
+   * @param {string} dir - Runs directory
+   */
+  prune(dir) {
+    try {
+      const files = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file, mtime: fs.statSync(path.join(dir, file)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+
+      for (const { file } of files.slice(MAX_RUNS)) {
+        fs.unlinkSync(path.join(dir, file));
+      }
+    } catch (error) {
+      logger.warn('Failed to prune run results', { error: error.message });
+    }
+  }
+}
+
+module.exports = RunResults;
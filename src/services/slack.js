@@ -4,6 +4,18 @@
 
 const { App } = require('@slack/bolt');
 const logger = require('../utils/logger');
+const { findPostUrls } = require('../utils/linkedin-urls');
+const { getConfig } = require('../utils/config');
+const JsonStore = require('../utils/store');
+const ProgressCard = require('./progress');
+
+// Approval message limits: leads listed in the message, and options in the subset picker (Slack max 100)
+const APPROVAL_SAMPLE_SIZE = 10;
+const APPROVAL_MAX_OPTIONS = 100;
+
+// Units accepted in watch schedules ("for 7 days every 12h"), by first letter
+const WATCH_UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const WATCH_UNIT_PATTERN = '(\\d+)?\\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)\\b';
 
 class SlackService {
   constructor() {
@@ -23,6 +35,22 @@ class SlackService {
       throw new Error('SLACK_CHANNEL_ID is required');
     }
 
+    // Extra channels with their own default destination and campaign, from the pipeline config
+    // e.g. { "channels": { "C0123456789": { "destination": "instantly", "campaign": "abc-123" } } }
+    this.channelConfig = getConfig('channels');
+    this.channelIds = new Set([this.channelId, ...Object.keys(this.channelConfig)]);
+
+    // Human approval before leads are pushed
+    this.approval = {
+      required: process.env.REQUIRE_APPROVAL !== 'false',
+      timeoutMs: (parseInt(process.env.APPROVAL_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000,
+      defaultAction: process.env.APPROVAL_DEFAULT_ACTION === 'approve' ? 'approve' : 'reject',
+    };
+    // Approvals and budget decisions waiting on a click are saved, so their buttons and timeouts survive a restart
+    this.decisions = new JsonStore('decisions', { approvals: {}, budgetDecisions: {} });
+    this.decisionTimers = new Map();
+    this.onDecision = null;
+
     this.app = new App({
       token: this.botToken,
       signingSecret: this.signingSecret,
@@ -36,59 +64,202 @@ class SlackService {
   }
 
   /**
-   * Parse message text to extract LinkedIn post URL
+   * Parse message text to extract LinkedIn post URL and options
    * Accepts either:
-   * - Just a LinkedIn URL
+   * - Just a LinkedIn post URL, or several (their engagers are merged into one run), in any format
+   *   parsePostUrl recognises (/posts/, /feed/update/, URNs, /pulse/ articles, locale subdomains)
    * - POST_URL: https://linkedin.com/posts/...
+   * Plus optional KEY: value options anywhere in the message:
+   * - CAMPAIGN: 12345 - campaign to push leads to
+   * - DESTINATION: instantly - where leads are pushed (smartlead or instantly)
+   * - EXPORT: json - run export format (csv by default, or none)
+   * And optional flags:
+   * - show rejected - list leads dropped by the ICP filter in the thread
+   * - DRYRUN - enrich and preview leads without pushing them
+   * - NOCACHE - ignore cached enrichment results and look every profile up again
    *
    * @param {string} text - Message text
-   * @returns {Object|null} - Parsed data or null if invalid
+   * @returns {Object|null} - Parsed data, with postUrls in canonical form and unparsedUrls listing LinkedIn
+   *   links that aren't recognisable posts; null if the message has no LinkedIn links at all
    */
   parseMessage(text) {
     if (!text) return null;
 
-    let postUrl = null;
+    const { posts, unparsed, text: rest } = findPostUrls(text);
 
-    // Slack wraps URLs in <url> or <url|label> format - extract the actual URL
-    // Example: <https://linkedin.com/posts/xyz> or <https://linkedin.com/posts/xyz|link text>
-    const slackUrlMatch = text.match(/<(https?:\/\/(?:www\.)?linkedin\.com\/(?:posts|feed\/update)\/[^|>]+)/i);
-    if (slackUrlMatch) {
-      postUrl = slackUrlMatch[1].trim();
-    } else {
-      // Try plain URL format
-      const plainUrlMatch = text.match(/(https?:\/\/(?:www\.)?linkedin\.com\/(?:posts|feed\/update)\/[^\s<>]+)/i);
-      if (plainUrlMatch) {
-        postUrl = plainUrlMatch[1].trim();
-      }
+    if (posts.length === 0 && unparsed.length === 0) {
+      return null;
     }
 
-    // Validate we found a LinkedIn URL
-    if (!postUrl || !postUrl.includes('linkedin.com')) {
-      return null;
+    const options = this.parseOptions(text);
+
+    return {
+      postUrls: posts.map(post => post.url),
+      unparsedUrls: unparsed,
+      ...(options.CAMPAIGN && { campaignId: options.CAMPAIGN }),
+      ...(options.DESTINATION && { destination: options.DESTINATION.toLowerCase() }),
+      ...(options.EXPORT && { exportFormat: options.EXPORT.toLowerCase() }),
+      ...(/\bshow[ _]rejected\b/i.test(text) && { showRejected: true }),
+      ...(hasFlag(rest, /DRY[ _-]?RUN/) && { dryRun: true }),
+      ...(hasFlag(rest, /NO[ _-]?CACHE/) && { bypassCache: true }),
+    };
+  }
+
+  /**
+   * Parse a reply inside a pipeline thread into a command
+   * Supported: "push" - send a cached dry-run preview to its destination
+   *
+   * @param {string} text - Reply text
+   * @returns {string|null} - Command name or null if the reply isn't a command
+   */
+  parseThreadCommand(text) {
+    if (!text) return null;
+    return /^\s*push\s*$/i.test(text) ? 'push' : null;
+  }
+
+  /**
+   * Parse a watchlist command
+   * Supported:
+   * - "watch <post URL> [for 7 days] [every 12h]" - re-scrape the post on a schedule (plus any options
+   *   parseMessage reads, e.g. CAMPAIGN: or DRYRUN); durations in minutes, hours, days or weeks
+   * - "unwatch [<post URL>]" - stop watching the post, or the watch replying in this thread
+   * - "list watches" - watches in this channel
+   * A command is "watch"/"unwatch" followed only by post links, schedule clauses and options; anything else
+   * (e.g. "Watch this post! <url>") isn't a command and is left to run as a normal message.
+   *
+   * @param {string} text - Message text
+   * @returns {Object|null} - { command: 'watch', postUrls, unparsedUrls, durationMs, intervalMs, options },
+   *   { command: 'unwatch', postUrls }, { command: 'list' }, or null if the message isn't one
+   */
+  parseWatchCommand(text) {
+    if (!text) return null;
+
+    if (/^\s*(?:list\s+watch(?:es)?|watch(?:es|list|\s+list))\s*$/i.test(text)) {
+      return { command: 'list' };
+    }
+
+    const match = text.match(/^\s*(un)?watch(?=\s|$)/i);
+    if (!match) return null;
+
+    // Whatever is left once links, schedule clauses, options and flags are taken out must be blank
+    const scheduleClause = clause => new RegExp(`\\b${clause}\\s+${WATCH_UNIT_PATTERN}`, 'gi');
+    const leftover = [
+      scheduleClause('for'),
+      scheduleClause('every'),
+      /\b[A-Z][A-Z_]+:\s*[^\s<>]*/g,
+      /(?:^|\s)(?:DRY[ _-]?RUN|NO[ _-]?CACHE|show[ _]rejected)(?=\s|$)/gi,
+    ].reduce((rest, pattern) => rest.replace(pattern, ' '), findPostUrls(text.slice(match[0].length)).text);
+
+    if (/[^\s<>,]/.test(leftover)) return null;
+
+    const { postUrls = [], unparsedUrls = [], ...options } = this.parseMessage(text) || {};
+
+    if (match[1]) {
+      return { command: 'unwatch', postUrls };
+    }
+
+    const toMs = clause => {
+      const found = text.match(new RegExp(`\\b${clause}\\s+${WATCH_UNIT_PATTERN}`, 'i'));
+      return found ? (parseInt(found[1], 10) || 1) * WATCH_UNIT_MS[found[2][0].toLowerCase()] : undefined;
+    };
+
+    return {
+      command: 'watch',
+      postUrls,
+      unparsedUrls,
+      durationMs: toMs('for'),
+      intervalMs: toMs('every'),
+      options,
+    };
+  }
+
+  /**
+   * Extract uppercase KEY: value options from message text
+   * @param {string} text - Message text
+   * @returns {Object} - Options keyed by upper-case name
+   */
+  parseOptions(text) {
+    const options = {};
+    const optionPattern = /\b([A-Z][A-Z_]+):\s*([^\s<>]+)/g;
+
+    for (const [, key, value] of text.matchAll(optionPattern)) {
+      options[key] = value;
     }
 
-    // Clean up any trailing characters
-    postUrl = postUrl.replace(/[>|].*$/, '');
+    return options;
+  }
+
+  /**
+   * Fall back to the channel's defaults when a request doesn't name them; the channel's
+   * campaign belongs to its destination, so it's skipped when the request picks another one
+   * @param {Object} parsedData - Parsed request options (updated)
+   * @param {string} channel - Slack channel ID
+   * @returns {Object} - parsedData
+   */
+  applyChannelDefaults(parsedData, channel) {
+    const channelDestination = this.getChannelDestination(channel);
+    const sameDestination = !parsedData.destination || parsedData.destination === channelDestination;
+
+    if (!parsedData.destination && channelDestination) {
+      parsedData.destination = channelDestination;
+    }
+
+    if (!parsedData.campaignId && sameDestination) {
+      const channelCampaign = this.getChannelCampaign(channel);
+      if (channelCampaign) parsedData.campaignId = channelCampaign;
+    }
+
+    return parsedData;
+  }
 
-    return { postUrl };
+  /**
+   * Get the default destination mapped to a Slack channel
+   * @param {string} channel - Slack channel ID
+   * @returns {string|null} - Destination name or null if the channel has no mapping
+   */
+  getChannelDestination(channel) {
+    return this.channelConfig[channel]?.destination?.toLowerCase() || null;
+  }
+
+  /**
+   * Get the default campaign mapped to a Slack channel
+   * @param {string} channel - Slack channel ID
+   * @returns {string|null} - Campaign ID or null if the channel has no mapping
+   */
+  getChannelCampaign(channel) {
+    return this.channelConfig[channel]?.campaign?.toString() || null;
+  }
+
+  /**
+   * Resolve a thread reference to a channel and timestamp
+   * @param {Object} thread - { channel, ts }; channel defaults to SLACK_CHANNEL_ID
+   * @returns {Object} - { channel, ts }
+   */
+  resolveThread(thread) {
+    return {
+      channel: thread?.channel || this.channelId,
+      ts: thread?.ts || null,
+    };
   }
 
   /**
-   * Send a message to the configured channel
+   * Send a message to a channel
    * @param {string} text - Message text
-   * @param {string} threadTs - Optional thread timestamp for replies
+   * @param {Object} thread - Optional { channel, ts } to reply in a thread
    * @returns {Promise<Object>} - Slack API response
    */
-  async sendMessage(text, threadTs = null) {
+  async sendMessage(text, thread = null) {
+    const { channel, ts } = this.resolveThread(thread);
+
     try {
       const messageParams = {
-        channel: this.channelId,
+        channel,
         text,
-        ...(threadTs && { thread_ts: threadTs }),
+        ...(ts && { thread_ts: ts }),
       };
 
       const result = await this.app.client.chat.postMessage(messageParams);
-      logger.debug('Slack message sent', { channel: this.channelId, threadTs });
+      logger.debug('Slack message sent', { channel, threadTs: ts });
       return result;
     } catch (error) {
       logger.error('Failed to send Slack message', { error: error.message });
@@ -96,64 +267,713 @@ class SlackService {
     }
   }
 
+  /**
+   * One-line description of an approval decision for the summary
+   * @param {Object} approval - { decision, userId, approvedCount, preset }
+   * @returns {string}
+   */
+  formatApproval(approval) {
+    const who = approval.preset ? 'the run request' : approval.userId ? `<@${approval.userId}>` : 'timeout default';
+    return approval.decision === 'approved'
+      ? `🛂 Approved by ${who} (${approval.approvedCount} leads)`
+      : `🛂 Rejected by ${who} - nothing was pushed`;
+  }
+
+  /**
+   * Upload a file to a channel or thread
+   * @param {string} content - File content
+   * @param {string} filename - File name shown in Slack
+   * @param {Object} thread - Optional { channel, ts } to upload into a thread
+   * @param {string} comment - Optional message posted with the file
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async uploadFile(content, filename, thread = null, comment = null) {
+    const { channel, ts } = this.resolveThread(thread);
+
+    try {
+      const result = await this.app.client.files.uploadV2({
+        channel_id: channel,
+        content,
+        filename,
+        ...(ts && { thread_ts: ts }),
+        ...(comment && { initial_comment: comment }),
+      });
+
+      logger.debug('Slack file uploaded', { channel, threadTs: ts, filename });
+      return result;
+    } catch (error) {
+      logger.error('Failed to upload Slack file', { filename, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a Block Kit message
+   * @param {string} text - Fallback text for notifications
+   * @param {Array<Object>} blocks - Block Kit blocks
+   * @param {Object} thread - Optional { channel, ts } to reply in a thread
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async sendBlocks(text, blocks, thread = null) {
+    try {
+      return await this.app.client.chat.postMessage({ ...this.toMessageTarget(thread), text, blocks });
+    } catch (error) {
+      logger.error('Failed to send Slack blocks', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a message in place
+   * @param {Object} message - { channel, ts } of the message to edit
+   * @param {string} text - Fallback text
+   * @param {Array<Object>} blocks - Block Kit blocks
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async updateMessage(message, text, blocks) {
+    return this.app.client.chat.update({ channel: message.channel, ts: message.ts, text, blocks });
+  }
+
+  /**
+   * Post a live-updating progress card in a thread
+   * @param {Object} thread - Thread reference
+   * @param {Object} options - { title, subtitle, stages, onUpdate } (see ProgressCard)
+   * @returns {Promise<ProgressCard>}
+   */
+  async createProgressCard(thread, options) {
+    return new ProgressCard(this, thread, options).start();
+  }
+
   /**
    * Send a processing status update
    * @param {string} status - Status message
-   * @param {string} threadTs - Thread timestamp
+   * @param {Object} thread - Thread reference
    */
-  async sendStatus(status, threadTs = null) {
-    return this.sendMessage(`⏳ ${status}`, threadTs);
+  async sendStatus(status, thread = null) {
+    return this.sendMessage(`⏳ ${status}`, thread);
   }
 
   /**
    * Send the final summary
    * @param {Object} stats - Pipeline statistics
-   * @param {string} threadTs - Thread timestamp
+   * @param {Object} thread - Thread reference
    */
-  async sendSummary(stats, threadTs = null) {
-    const message = [
-      '✅ *Pipeline Complete*',
+  async sendSummary(stats, thread = null) {
+    return this.sendMessage(this.formatSummary(stats), thread);
+  }
+
+  /**
+   * Format the final summary text
+   * @param {Object} stats - Pipeline statistics
+   * @param {string} note - Optional note shown under the heading (e.g. why the run stopped early)
+   * @returns {string} - mrkdwn summary
+   */
+  formatSummary(stats, note = null) {
+    const destination = stats.destination || 'Smartlead';
+    const campaignLabel = stats.campaign ? ` campaign *${stats.campaign.name}* (${stats.campaign.id})` : '';
+
+    return [
+      stats.dryRun ? '🧪 *Dry Run Complete - nothing was pushed*' : '✅ *Pipeline Complete*',
+      note ? `_${note}_` : '',
       '',
-      `Found *${stats.engagers}* engagers`,
-      `→ *${stats.enriched}* emails from Apollo`,
-      `→ *${stats.pushed}* pushed to Smartlead`,
+      `Found *${stats.engagers}* engagers (${stats.newEngagers} new / ${stats.seenEngagers} previously seen)`,
+      ...this.formatPostBreakdown(stats),
+      `→ *${stats.enriched}* emails${this.formatProviders(stats.enrichedByProvider)}`,
+      stats.engagers > 0 ? `      • ${this.formatCacheUsage(stats)}` : '',
+      stats.validationRejected > 0 ? `→ *${stats.enriched - stats.validationRejected}* passed email validation` : '',
+      ...Object.entries(stats.validationDropsByVerdict || {}).map(([reason, count]) => `      • ${count} dropped: _${reason}_`),
+      stats.icpRejected > 0 ? `→ *${stats.enriched - (stats.validationRejected || 0) - stats.icpRejected}* passed ICP filter` : '',
+      ...Object.entries(stats.icpDropsByRule || {}).map(([rule, count]) => `      • ${count} dropped by _${rule}_`),
+      stats.dryRun
+        ? `→ *${stats.previewed}* would be pushed to ${destination}${campaignLabel}`
+        : `→ *${stats.pushed}* pushed to ${destination}${campaignLabel}`,
       '',
+      stats.alreadyPushed > 0 ? `↩️ ${stats.alreadyPushed} skipped (already pushed on a previous run)` : '',
       stats.failed > 0 ? `⚠️ ${stats.failed} failed to push` : '',
+      stats.approval ? this.formatApproval(stats.approval) : '',
+      stats.budgetDecision ? this.formatBudgetDecision(stats.budgetDecision) : '',
+      stats.budgetSkipped > 0 ? `💳 ${stats.budgetSkipped} engagers not enriched (over budget)` : '',
+      stats.memberIdOnly > 0 ? `🔒 ${stats.memberIdOnly} engagers not enriched (LinkedIn only gave a member ID, no public profile URL)` : '',
+      stats.budget ? `💳 Daily enrichment budget: *${stats.budget.remaining}* of ${stats.budget.limit} credits left` : '',
+      stats.dryRun && stats.previewed > 0 ? `Reply \`push\` in this thread to send these leads to ${destination}.` : '',
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Short summary of one watch check, posted in the watch's thread
+   * @param {Object} stats - Pipeline statistics, with watch: { check, total }
+   * @param {string} note - Optional note on why the check stopped early
+   * @param {Object} watch - The watch (see WatchList)
+   * @returns {string} - mrkdwn summary
+   */
+  formatWatchSummary(stats, note, watch) {
+    const { check, total } = stats.watch;
+    const since = check > 1 ? 'since the last check' : 'on the first check';
+    const campaignLabel = stats.campaign ? ` campaign *${stats.campaign.name}*` : '';
+
+    let outcome = '';
+    if (stats.engagers > 0) {
+      outcome = stats.dryRun
+        ? ` → *${stats.enriched}* emails → *${stats.previewed}* would be pushed`
+        : ` → *${stats.enriched}* emails → *${stats.pushed}* pushed to ${stats.destination}${campaignLabel}`;
+    }
+
+    const last = Date.parse(watch.lastStartedAt) >= Date.parse(watch.expiresAt);
+
+    return [
+      `👀 *Watch check ${check}*: ${stats.engagers > 0 ? `*${stats.engagers}* new ${stats.engagers === 1 ? 'engager' : 'engagers'}` : 'no new engagers'} ${since} (${total} in total)${outcome}`,
+      stats.engagers > 0 && note ? `_${note}_` : '',
+      stats.failed > 0 ? `⚠️ ${stats.failed} failed to push` : '',
+      stats.budgetSkipped > 0 ? `💳 ${stats.budgetSkipped} engagers not enriched (over budget)` : '',
+      stats.dryRun && stats.previewed > 0 ? 'Reply `push` in this thread to send these leads.' : '',
+      last ? 'That was the last check.' : `Next check ${formatDate(watch.nextCheckAt)}.`,
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Confirmation for "watch"
+   * @param {Object} watch - The new or rescheduled watch (see WatchList)
+   * @param {boolean} updated - Whether an existing watch was rescheduled
+   * @returns {string}
+   */
+  formatWatchStarted(watch, updated) {
+    const target = watch.postUrls.length > 1 ? `${watch.postUrls.length} posts` : 'this post';
+    const schedule = `every ${formatDuration(watch.intervalMs)} until ${formatDate(watch.expiresAt)}`;
+
+    return updated
+      ? `👀 Rescheduled the watch on ${target}: checking ${schedule}, starting now. Engagers it has already seen stay skipped.`
+      : `👀 Watching ${target}: checking ${schedule}, starting now. Each check posts the engagers found since the previous one in this thread; reply \`unwatch\` here to stop.`;
+  }
+
+  /**
+   * List watches for "list watches"
+   * @param {Array<Object>} watches - Watches (see WatchList)
+   * @returns {string} - mrkdwn list
+   */
+  formatWatchList(watches) {
+    if (watches.length === 0) {
+      return 'No posts are being watched in this channel. Start one with `watch <post URL> for 7 days every 12h`.';
+    }
+
+    return [
+      `👀 *${watches.length} watched ${watches.length === 1 ? 'post' : 'posts'}*`,
+      ...watches.map(watch => {
+        const posts = watch.postUrls.length === 1
+          ? `<${watch.postUrls[0]}|Post>`
+          : watch.postUrls.map((url, index) => `<${url}|post ${index + 1}>`).join(', ');
+
+        return `• ${posts} every ${formatDuration(watch.intervalMs)} until ${formatDate(watch.expiresAt)}`
+          + ` · ${watch.checks} checks · ${watch.seenUrls.length} engagers so far · next check ${formatDate(watch.nextCheckAt)}`;
+      }),
+    ].join('\n');
+  }
+
+  /**
+   * Per-post counts and overlap for runs over several posts
+   * @param {Object} stats - Pipeline statistics
+   * @returns {Array<string>} - Summary lines (none for a single post)
+   */
+  formatPostBreakdown(stats) {
+    if (!stats.posts || stats.posts.length < 2) return [];
+
+    return [
+      ...stats.posts.map(({ postUrl, engagers, emails }, index) =>
+        `      • <${postUrl}|Post ${index + 1}>: ${engagers} engagers${emails !== undefined ? ` · ${emails} emails` : ''}`
+      ),
+      `      • ${stats.overlap} engaged with more than one post`,
+    ];
+  }
+
+  /**
+   * Which providers supplied the emails, e.g. " (Apollo 32 · Hunter 8)"
+   * @param {Object} byProvider - Provider name -> emails supplied
+   * @returns {string}
+   */
+  formatProviders(byProvider = {}) {
+    const parts = Object.entries(byProvider).map(([provider, count]) => `${provider} ${count}`);
+    return parts.length > 0 ? ` (${parts.join(' · ')})` : '';
+  }
+
+  /**
+   * Describe how much of the enrichment was served from the cache
+   * @param {Object} stats - Pipeline statistics
+   * @returns {string}
+   */
+  formatCacheUsage(stats) {
+    if (stats.cacheBypassed) return 'cache bypassed (every profile looked up)';
+    return `${stats.cacheHits || 0} cache hits / ${stats.cacheMisses || 0} misses`;
+  }
+
+  /**
+   * Post a preview table of the leads a dry run would push
+   * @param {Array<Object>} leads - Enriched contacts
+   * @param {Object} thread - Thread reference
+   * @param {number} limit - Max rows to show
+   */
+  async sendPreview(leads, thread = null, limit = 25) {
+    const cell = (value, width) => {
+      const text = (value || '').toString();
+      return text.length > width ? `${text.substring(0, width - 1)}…` : text.padEnd(width);
+    };
+
+    const header = `${cell('Name', 22)} ${cell('Title', 26)} ${cell('Company', 22)} ${cell('Email', 30)} Engaged`;
+    const rows = leads.slice(0, limit).map(lead => [
+      cell(`${lead.firstName} ${lead.lastName}`.trim(), 22),
+      cell(lead.title, 26),
+      cell(lead.companyName, 22),
+      cell(lead.email, 30),
+      (lead.engager?.engagementTypes || []).join('+'),
+    ].join(' '));
+
+    const message = [
+      `🔍 *Preview: ${leads.length} lead${leads.length === 1 ? '' : 's'}*`,
+      '```',
+      header,
+      ...rows,
+      '```',
+      leads.length > limit ? `…and ${leads.length - limit} more` : '',
     ].filter(Boolean).join('\n');
 
-    return this.sendMessage(message, threadTs);
+    return this.sendMessage(message, thread);
+  }
+
+  /**
+   * Ask for approval before pushing leads
+   * Posts a Block Kit message with Approve / Approve selected / Reject buttons. The decision goes to
+   * the onDecision handler (see start) rather than back to the caller, so the run doesn't have to wait
+   * for it. If nobody decides within the timeout, the configured default action is applied.
+   *
+   * @param {Array<Object>} leads - Enriched contacts about to be pushed
+   * @param {Object} thread - Thread reference
+   * @param {Object} campaign - { id, name, destination } the leads would go to
+   * @param {string} jobId - Job the decision is for
+   * @returns {Promise<string>} - Approval ID
+   */
+  async requestApproval(leads, thread, campaign, jobId) {
+    const approvalId = `approval_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const { timeoutMs, defaultAction } = this.approval;
+
+    const response = await this.app.client.chat.postMessage({
+      ...this.toMessageTarget(thread),
+      text: `Approval needed: push ${leads.length} leads to ${campaign.name}?`,
+      blocks: this.buildApprovalBlocks(approvalId, leads, campaign),
+    });
+
+    logger.info('Approval requested', { approvalId, jobId, leads: leads.length, timeoutMs, defaultAction });
+
+    const expiresAt = new Date(Date.now() + timeoutMs).toISOString();
+    this.decisions.data.approvals[approvalId] = {
+      jobId,
+      leads,
+      thread,
+      messageTs: response.ts,
+      channel: response.channel,
+      expiresAt,
+    };
+    this.decisions.save();
+    this.scheduleTimeout(approvalId, expiresAt, () => this.timeOutApproval(approvalId));
+
+    return approvalId;
+  }
+
+  /**
+   * Apply the default action to an approval nobody decided in time
+   * @param {string} approvalId - Pending approval ID
+   */
+  async timeOutApproval(approvalId) {
+    const pending = this.decisions.data.approvals[approvalId];
+    if (!pending) return;
+
+    const approve = this.approval.defaultAction === 'approve';
+    await this.resolveApproval(approvalId, {
+      decision: approve ? 'approved' : 'rejected',
+      leads: approve ? pending.leads : [],
+      userId: null,
+      timedOut: true,
+    });
+  }
+
+  /**
+   * Run a pending decision's timeout at its deadline (right away if it passed while the app was down)
+   * @param {string} decisionId - Pending decision ID
+   * @param {string} expiresAt - ISO deadline
+   * @param {Function} onTimeout - Applies the default
+   */
+  scheduleTimeout(decisionId, expiresAt, onTimeout) {
+    const delay = Math.max(Date.parse(expiresAt) - Date.now(), 0);
+    this.decisionTimers.set(decisionId, setTimeout(onTimeout, delay));
+  }
+
+  /**
+   * Re-arm the timeouts of decisions still open from before a restart, on their original schedule
+   */
+  restoreDecisions() {
+    for (const [approvalId, pending] of Object.entries(this.decisions.data.approvals)) {
+      this.scheduleTimeout(approvalId, pending.expiresAt, () => this.timeOutApproval(approvalId));
+    }
+    for (const [decisionId, pending] of Object.entries(this.decisions.data.budgetDecisions)) {
+      this.scheduleTimeout(decisionId, pending.expiresAt, () => this.timeOutBudgetDecision(decisionId));
+    }
+  }
+
+  /**
+   * Hand a decision to the onDecision handler; a failure there is logged, as the buttons are already settled
+   * @param {string} jobId - Job the decision is for
+   * @param {Object} outcome - The decision
+   */
+  async notifyDecision(jobId, outcome) {
+    if (!this.onDecision) return;
+
+    try {
+      await this.onDecision(jobId, outcome);
+    } catch (error) {
+      logger.error('Failed to hand over decision', { jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Build the Block Kit approval message
+   * @param {string} approvalId - Pending approval ID (button value)
+   * @param {Array<Object>} leads - Leads awaiting approval
+   * @param {Object} campaign - Target campaign
+   * @returns {Array<Object>} - Blocks
+   */
+  buildApprovalBlocks(approvalId, leads, campaign) {
+    const describe = lead => {
+      const name = `${lead.firstName} ${lead.lastName}`.trim() || lead.email;
+      const role = [lead.title, lead.companyName].filter(Boolean).join(' @ ');
+      return role ? `${name} - ${role}` : name;
+    };
+
+    const sample = leads.slice(0, APPROVAL_SAMPLE_SIZE).map(lead => `• ${describe(lead)}`);
+    if (leads.length > APPROVAL_SAMPLE_SIZE) {
+      sample.push(`…and ${leads.length - APPROVAL_SAMPLE_SIZE} more`);
+    }
+
+    const options = leads.slice(0, APPROVAL_MAX_OPTIONS).map((lead, index) => ({
+      text: { type: 'plain_text', text: describe(lead).substring(0, 75) },
+      value: String(index),
+    }));
+
+    const timeoutMinutes = Math.round(this.approval.timeoutMs / 60000);
+
+    return [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🛂 *Approval needed*\nPush *${leads.length}* leads to ${campaign.destination || 'Smartlead'} campaign *${campaign.name}* (${campaign.id})?`,
+        },
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: sample.join('\n') },
+      },
+      {
+        type: 'input',
+        block_id: 'approval_subset',
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: leads.length > APPROVAL_MAX_OPTIONS ? `Subset (first ${APPROVAL_MAX_OPTIONS} leads)` : 'Subset',
+        },
+        element: {
+          type: 'multi_static_select',
+          action_id: 'approval_select',
+          placeholder: { type: 'plain_text', text: 'Pick leads for "Approve selected"' },
+          options,
+        },
+      },
+      {
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: 'approval_approve_all', text: { type: 'plain_text', text: 'Approve all' }, style: 'primary', value: approvalId },
+          { type: 'button', action_id: 'approval_approve_selected', text: { type: 'plain_text', text: 'Approve selected' }, value: approvalId },
+          { type: 'button', action_id: 'approval_reject', text: { type: 'plain_text', text: 'Reject' }, style: 'danger', value: approvalId },
+        ],
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `Defaults to *${this.approval.defaultAction}* if nobody decides within ${timeoutMinutes} minutes.`,
+        }],
+      },
+    ];
+  }
+
+  /**
+   * Settle a pending approval: replace the buttons with the outcome and note it in the thread
+   * @param {string} approvalId - Pending approval ID
+   * @param {Object} outcome - { decision, leads, userId, timedOut }
+   * @returns {Promise<boolean>} - false if the approval was already settled or unknown
+   */
+  async resolveApproval(approvalId, outcome) {
+    const pending = this.decisions.data.approvals[approvalId];
+    if (!pending) return false;
+
+    delete this.decisions.data.approvals[approvalId];
+    this.decisions.save();
+    clearTimeout(this.decisionTimers.get(approvalId));
+    this.decisionTimers.delete(approvalId);
+
+    const decidedAt = new Date();
+    const result = { ...outcome, decidedAt: decidedAt.toISOString() };
+
+    const unixTime = Math.floor(decidedAt.getTime() / 1000);
+    const when = `<!date^${unixTime}^{date_short_pretty} at {time}|${result.decidedAt}>`;
+    const who = outcome.userId ? `<@${outcome.userId}>` : 'timeout (default action)';
+    const verdict = outcome.decision === 'approved'
+      ? `✅ *Approved* ${outcome.leads.length} of ${pending.leads.length} leads`
+      : `🚫 *Rejected* - nothing will be pushed`;
+    const record = `${verdict} by ${who} ${when}`;
+
+    logger.info('Approval decided', {
+      approvalId,
+      jobId: pending.jobId,
+      decision: outcome.decision,
+      approvedLeads: outcome.leads.length,
+      userId: outcome.userId,
+      timedOut: !!outcome.timedOut,
+    });
+
+    try {
+      await this.app.client.chat.update({
+        channel: pending.channel,
+        ts: pending.messageTs,
+        text: record,
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: record } }],
+      });
+      await this.sendMessage(record, pending.thread);
+    } catch (error) {
+      logger.error('Failed to record approval decision', { approvalId, error: error.message });
+    }
+
+    await this.notifyDecision(pending.jobId, result);
+    return true;
+  }
+
+  /**
+   * Handle an approval button click
+   * @param {string} actionId - Which button was clicked
+   * @param {Object} args - Bolt action arguments
+   */
+  async handleApprovalAction(actionId, { ack, body, action, respond }) {
+    await ack();
+
+    const approvalId = action.value;
+    const pending = this.decisions.data.approvals[approvalId];
+
+    if (!pending) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: 'This approval was already decided or has expired.' });
+      return;
+    }
+
+    let leads = [];
+    let decision = 'approved';
+
+    if (actionId === 'approval_approve_all') {
+      leads = pending.leads;
+    } else if (actionId === 'approval_approve_selected') {
+      const selected = body.state?.values?.approval_subset?.approval_select?.selected_options || [];
+      leads = selected.map(option => pending.leads[parseInt(option.value, 10)]).filter(Boolean);
+
+      if (leads.length === 0) {
+        await respond({ response_type: 'ephemeral', replace_original: false, text: 'Pick at least one lead before clicking "Approve selected".' });
+        return;
+      }
+    } else {
+      decision = 'rejected';
+    }
+
+    await this.resolveApproval(approvalId, { decision, leads, userId: body.user.id, timedOut: false });
+  }
+
+  /**
+   * Ask the thread what to do about a run that would go over its enrichment budget
+   * Like approvals, the decision goes to the onDecision handler (see start). Defaults to cancelling if
+   * nobody decides within the approval timeout.
+   * @param {Object} thread - Thread reference
+   * @param {Object} request
+   * @param {number} request.lookups - Profiles that need an enrichment lookup
+   * @param {number} request.commenterLookups - How many of those are commenters
+   * @param {number} request.allowance - Lookups the budget still allows
+   * @param {string} request.limitedBy - Budget that applies: 'run', 'day' or 'user'
+   * @param {string} jobId - Job the decision is for
+   * @returns {Promise<string>} - Decision ID; the outcome is { choice: 'truncate' | 'commenters' | 'cancel', userId, timedOut }
+   */
+  async requestBudgetDecision(thread, { lookups, commenterLookups, allowance, limitedBy }, jobId) {
+    const decisionId = `budget_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const budgetName = { run: 'per-run', day: 'daily', user: 'your daily' }[limitedBy];
+    const text = `⚠️ *Over enrichment budget*\nThis run needs *${lookups}* more enrichment lookups but the ${budgetName} budget allows *${allowance}* more.`;
+
+    const buttons = [
+      { type: 'button', action_id: 'budget_truncate', text: { type: 'plain_text', text: `Enrich first ${allowance}` }, style: 'primary', value: decisionId },
+      commenterLookups > 0 && { type: 'button', action_id: 'budget_commenters', text: { type: 'plain_text', text: `Commenters only (${commenterLookups})` }, value: decisionId },
+      { type: 'button', action_id: 'budget_cancel', text: { type: 'plain_text', text: 'Cancel run' }, style: 'danger', value: decisionId },
+    ].filter(Boolean);
+
+    const response = await this.app.client.chat.postMessage({
+      ...this.toMessageTarget(thread),
+      text: `Over enrichment budget: ${lookups} lookups needed, ${allowance} allowed`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text } },
+        { type: 'actions', elements: buttons },
+        {
+          type: 'context',
+          elements: [{
+            type: 'mrkdwn',
+            text: `Commenters are enriched first when truncating. Cancels if nobody decides within ${Math.round(this.approval.timeoutMs / 60000)} minutes.`,
+          }],
+        },
+      ],
+    });
+
+    logger.info('Budget decision requested', { decisionId, jobId, lookups, allowance, limitedBy });
+
+    const expiresAt = new Date(Date.now() + this.approval.timeoutMs).toISOString();
+    this.decisions.data.budgetDecisions[decisionId] = {
+      jobId,
+      channel: response.channel,
+      messageTs: response.ts,
+      text,
+      expiresAt,
+    };
+    this.decisions.save();
+    this.scheduleTimeout(decisionId, expiresAt, () => this.timeOutBudgetDecision(decisionId));
+
+    return decisionId;
+  }
+
+  /**
+   * Cancel a run whose budget decision nobody made in time
+   * @param {string} decisionId - Pending decision ID
+   */
+  async timeOutBudgetDecision(decisionId) {
+    await this.resolveBudgetDecision(decisionId, { choice: 'cancel', userId: null, timedOut: true });
+  }
+
+  /**
+   * Settle a pending budget decision and replace its buttons with the outcome
+   * @param {string} decisionId - Pending decision ID
+   * @param {Object} outcome - { choice, userId, timedOut }
+   * @returns {Promise<boolean>} - false if the decision was already settled or unknown
+   */
+  async resolveBudgetDecision(decisionId, outcome) {
+    const pending = this.decisions.data.budgetDecisions[decisionId];
+    if (!pending) return false;
+
+    delete this.decisions.data.budgetDecisions[decisionId];
+    this.decisions.save();
+    clearTimeout(this.decisionTimers.get(decisionId));
+    this.decisionTimers.delete(decisionId);
+
+    logger.info('Budget decision made', { decisionId, jobId: pending.jobId, ...outcome });
+
+    try {
+      const record = `${pending.text}\n${this.formatBudgetDecision(outcome)}`;
+      await this.app.client.chat.update({
+        channel: pending.channel,
+        ts: pending.messageTs,
+        text: record,
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: record } }],
+      });
+    } catch (error) {
+      logger.error('Failed to record budget decision', { decisionId, error: error.message });
+    }
+
+    await this.notifyDecision(pending.jobId, outcome);
+    return true;
+  }
+
+  /**
+   * Format a budget decision for the thread and summary
+   * @param {Object} decision - { choice, userId, timedOut, preset }
+   * @returns {string}
+   */
+  formatBudgetDecision({ choice, userId, timedOut, preset }) {
+    const action = {
+      truncate: 'enrich up to the budget',
+      commenters: 'enrich commenters only',
+      cancel: 'cancel the run',
+    }[choice];
+    const who = preset ? 'set when the run was requested' : timedOut ? 'timeout (default action)' : `<@${userId}>`;
+
+    return `💳 Over budget: chose to *${action}* (${who})`;
+  }
+
+  /**
+   * Build channel/thread_ts params for a thread reference
+   * @param {Object} thread - Thread reference
+   * @returns {Object} - { channel, thread_ts? }
+   */
+  toMessageTarget(thread) {
+    const { channel, ts } = this.resolveThread(thread);
+    return { channel, ...(ts && { thread_ts: ts }) };
+  }
+
+  /**
+   * List leads rejected by the ICP filter
+   * @param {Array<Object>} rejected - [{ contact, rule, reason }] from IcpFilter.filter
+   * @param {Object} thread - Thread reference
+   * @param {number} limit - Max leads to list
+   */
+  async sendRejected(rejected, thread = null, limit = 50) {
+    if (rejected.length === 0) {
+      return this.sendMessage('No leads were rejected by the ICP filter.', thread);
+    }
+
+    const lines = rejected.slice(0, limit).map(({ contact, reason }) => {
+      const name = `${contact.firstName} ${contact.lastName}`.trim() || contact.email;
+      const role = [contact.title, contact.companyName].filter(Boolean).join(' @ ');
+      return `• <${contact.linkedinUrl}|${name}>${role ? ` - ${role}` : ''} _(${reason})_`;
+    });
+
+    if (rejected.length > limit) {
+      lines.push(`…and ${rejected.length - limit} more`);
+    }
+
+    return this.sendMessage([`🚫 *Rejected by ICP filter (${rejected.length})*`, ...lines].join('\n'), thread);
   }
 
   /**
    * Send an error message
    * @param {string} error - Error message
-   * @param {string} threadTs - Thread timestamp
+   * @param {Object} thread - Thread reference
    */
-  async sendError(error, threadTs = null) {
-    return this.sendMessage(`❌ *Pipeline Error*\n${error}`, threadTs);
+  async sendError(error, thread = null) {
+    return this.sendMessage(`❌ *Pipeline Error*\n${error}`, thread);
   }
 
   /**
-   * Register message handler and start the app
-   * @param {Function} onMessage - Callback function for handling parsed messages
+   * Register the event handlers and start the app
+   * @param {Function} onMessage - async (data, thread) for messages with LinkedIn post URLs
+   * @param {Function} onThreadCommand - async (command, thread, userId) for commands replied in a run's thread
+   * @param {Function} onWatchCommand - async (command, thread, userId) for watchlist commands (see parseWatchCommand)
+   * @param {Function} onDecision - async (jobId, outcome) once an approval or budget decision is made, by a click or its timeout
    * @returns {Promise<void>}
    */
-  async start(onMessage) {
-    // Add health check endpoint for Render
-    const { createServer } = require('http');
-    const port = process.env.PORT || 3000;
-
-    createServer((req, res) => {
-      if (req.url === '/health' || req.url === '/') {
-        res.writeHead(200);
-        res.end('OK');
-      } else {
-        res.writeHead(404);
-        res.end();
-      }
-    }).listen(port, () => {
-      logger.info(`Health check server running on port ${port}`);
-    });
+  async start(onMessage, onThreadCommand = null, onWatchCommand = null, onDecision = null) {
+    this.onDecision = onDecision;
+    this.restoreDecisions();
+
+    // Approval buttons (the subset picker is an input block, read from the button's state)
+    for (const actionId of ['approval_approve_all', 'approval_approve_selected', 'approval_reject']) {
+      this.app.action(actionId, args => this.handleApprovalAction(actionId, args));
+    }
+
+    // Over-budget choices
+    for (const [actionId, choice] of [['budget_truncate', 'truncate'], ['budget_commenters', 'commenters'], ['budget_cancel', 'cancel']]) {
+      this.app.action(actionId, async ({ ack, body, action, respond }) => {
+        await ack();
+
+        const settled = await this.resolveBudgetDecision(action.value, { choice, userId: body.user.id, timedOut: false });
+        if (!settled) {
+          await respond({ response_type: 'ephemeral', replace_original: false, text: 'This budget decision was already made or has expired.' });
+        }
+      });
+    }
+
     // Listen for ALL messages first to debug
     this.app.event('message', async ({ event, say }) => {
       logger.info('Raw message event received', {
@@ -162,11 +982,11 @@ class SlackService {
         subtype: event.subtype,
         text: event.text?.substring(0, 100),
         bot_id: event.bot_id,
-        expectedChannel: this.channelId,
+        expectedChannels: [...this.channelIds],
       });
 
       // Ignore bot messages, message changes, and messages from other channels
-      if (event.bot_id || event.subtype || event.channel !== this.channelId) {
+      if (event.bot_id || event.subtype || !this.channelIds.has(event.channel)) {
         logger.debug('Message ignored', {
           reason: event.bot_id ? 'bot' : event.subtype ? 'subtype' : 'wrong channel'
         });
@@ -181,22 +1001,83 @@ class SlackService {
         hasText: !!message.text,
       });
 
+      // Watchlist commands work at the top level and inside a thread (which the watch then replies in)
+      const watchCommand = onWatchCommand && this.parseWatchCommand(message.text);
+
+      if (watchCommand) {
+        const thread = { channel: message.channel, ts: message.thread_ts || message.ts };
+        logger.info('Watch command received', { command: watchCommand.command, thread, user: message.user });
+
+        if (watchCommand.command === 'watch') {
+          watchCommand.options = { ...this.applyChannelDefaults(watchCommand.options, message.channel), userId: message.user };
+        }
+
+        try {
+          await onWatchCommand(watchCommand, thread, message.user);
+        } catch (error) {
+          logger.error('Watch command error', { command: watchCommand.command, error: error.message });
+          await this.sendError(error.message, thread);
+        }
+        return;
+      }
+
+      // Replies inside an existing thread may be commands for that run
+      if (message.thread_ts && message.thread_ts !== message.ts) {
+        const command = this.parseThreadCommand(message.text);
+
+        if (command && onThreadCommand) {
+          const thread = { channel: message.channel, ts: message.thread_ts };
+          logger.info('Thread command received', { command, thread, user: message.user });
+
+          try {
+            await onThreadCommand(command, thread, message.user);
+          } catch (error) {
+            logger.error('Thread command error', { command, error: error.message });
+            await this.sendError(error.message, thread);
+          }
+          return;
+        }
+      }
+
       // Parse the message
-      const parsedData = this.parseMessage(message.text);
+      const parsed = this.parseMessage(message.text);
 
-      if (!parsedData) {
+      if (!parsed) {
         logger.debug('Message does not match expected format, ignoring', { text: message.text });
         return;
       }
 
+      const { unparsedUrls, ...parsedData } = parsed;
+      const thread = { channel: message.channel, ts: message.ts };
+
+      // Conversation in a run's thread often links profiles; only top-level messages get told off
+      const inThread = message.thread_ts && message.thread_ts !== message.ts;
+
+      if (unparsedUrls.length > 0 && !inThread) {
+        const links = unparsedUrls.map(url => `• ${url}`).join('\n');
+        await this.sendMessage(parsedData.postUrls.length > 0
+          ? `⚠️ Skipping links that aren't LinkedIn posts:\n${links}`
+          : `⚠️ Couldn't find a LinkedIn post in:\n${links}\nPaste the post's link (⋯ → Copy link to post).`, thread);
+      }
+
+      if (parsedData.postUrls.length === 0) {
+        logger.debug('No LinkedIn post URLs in message', { unparsedUrls });
+        return;
+      }
+
+      this.applyChannelDefaults(parsedData, message.channel);
+
+      // Enrichment budgets are tracked per requesting user
+      parsedData.userId = message.user;
+
       logger.info('Parsed pipeline request', parsedData);
 
       // Call the handler with parsed data
       try {
-        await onMessage(parsedData, message.ts);
+        await onMessage(parsedData, thread);
       } catch (error) {
         logger.error('Pipeline handler error', { error: error.message });
-        await this.sendError(error.message, message.ts);
+        await this.sendError(error.message, thread);
       }
     });
 
@@ -204,7 +1085,7 @@ class SlackService {
     await this.app.start();
 
     logger.info('Slack app started');
-    logger.info(`Listening for messages in channel: ${this.channelId}`);
+    logger.info(`Listening for messages in channels: ${[...this.channelIds].join(', ')}`);
   }
 
   /**
@@ -216,4 +1097,36 @@ class SlackService {
   }
 }
 
+/**
+ * Whether a flag appears as a standalone word (not part of a longer token such as a URL slug)
+ * @param {string} text - Message text, links already taken out
+ * @param {RegExp} pattern - Flag pattern
+ * @returns {boolean}
+ */
+function hasFlag(text, pattern) {
+  return new RegExp(`(?:^|\\s)(?:${pattern.source})(?=\\s|$)`, 'i').test(text);
+}
+
+/**
+ * Human-readable duration, e.g. "12h" or "7 days"
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const { d, h } = WATCH_UNIT_MS;
+  if (ms % d === 0) return `${ms / d} ${ms === d ? 'day' : 'days'}`;
+  if (ms % h === 0) return `${ms / h}h`;
+  return `${Math.round(ms / WATCH_UNIT_MS.m)}m`;
+}
+
+/**
+ * A date Slack shows in each reader's time zone
+ * @param {string} iso - ISO timestamp
+ * @returns {string}
+ */
+function formatDate(iso) {
+  const seconds = Math.floor(Date.parse(iso) / 1000);
+  return `<!date^${seconds}^{date_short_pretty} at {time}|${iso}>`;
+}
+
 module.exports = SlackService;
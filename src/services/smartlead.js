@@ -1,27 +1,29 @@
 /**
  * Smartlead service for adding leads to email campaigns
+ * Destination adapter (see Destination)
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { createHttpClient, isFatalError } = require('../utils/http');
+const Destination = require('./destination');
 
 const SMARTLEAD_API_BASE = 'https://server.smartlead.ai/api/v1';
 
-class SmartleadService {
+class SmartleadService extends Destination {
   constructor() {
+    // Default campaign is used when neither the message nor the channel config names one
+    super('smartlead', 'Smartlead', process.env.SMARTLEAD_CAMPAIGN_ID || null);
+
     this.apiKey = process.env.SMARTLEAD_API_KEY;
-    this.campaignId = process.env.SMARTLEAD_CAMPAIGN_ID;
 
     if (!this.apiKey) {
       throw new Error('SMARTLEAD_API_KEY is required');
     }
 
-    if (!this.campaignId) {
-      throw new Error('SMARTLEAD_CAMPAIGN_ID is required');
-    }
-
-    this.client = axios.create({
-      baseURL: SMARTLEAD_API_BASE,
+    this.client = createHttpClient({
+      service: 'Smartlead',
+      baseURL: process.env.SMARTLEAD_API_BASE || SMARTLEAD_API_BASE,
+      maxAttempts: 3,
       headers: {
         'Content-Type': 'application/json',
       },
@@ -40,28 +42,59 @@ class SmartleadService {
       email: contact.email,
       first_name: contact.firstName || '',
       last_name: contact.lastName || '',
-      custom_fields: {
-        company: contact.companyName || '',
-        title: contact.title || '',
-        linkedin_url: contact.linkedinUrl || '',
-      },
+      custom_fields: this.getCustomFields(contact),
     };
   }
 
   /**
-   * Add leads to the campaign via Smartlead API
+   * Ledger keys stay bare campaign IDs, as recorded before other destinations existed
+   */
+  getLedgerKey(campaignId) {
+    return String(campaignId);
+  }
+
+  /**
+   * Look up a campaign's name for display
+   * @param {string} campaignId - Smartlead campaign ID
+   * @returns {Promise<Object>} - { id, name, destination }; name falls back to the ID if the lookup fails
+   */
+  async getCampaign(campaignId) {
+    try {
+      const response = await this.client.get(`/campaigns/${campaignId}`, {
+        params: { api_key: this.apiKey },
+      });
+
+      return { id: campaignId, name: response.data?.name || campaignId, destination: this.label };
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+
+      logger.warn('Failed to look up Smartlead campaign', {
+        campaignId,
+        error: error.response?.data || error.message,
+      });
+      return { id: campaignId, name: campaignId, destination: this.label };
+    }
+  }
+
+  /**
+   * Add leads to a campaign via Smartlead API
    * @param {Array<Object>} contacts - Array of contact objects
-   * @returns {Promise<Object>} - Summary of results
+   * @param {string} campaignId - Target Smartlead campaign
+   * @returns {Promise<Object>} - Normalized result (see Destination)
    */
-  async addLeads(contacts) {
+  async addLeads(contacts, campaignId) {
+    if (!campaignId) {
+      throw new Error('No Smartlead campaign specified');
+    }
+
     logger.info('Adding leads to Smartlead campaign', {
       totalLeads: contacts.length,
-      campaignId: this.campaignId,
+      campaignId,
     });
 
     if (contacts.length === 0) {
       logger.warn('No leads to add to Smartlead');
-      return { added: 0, failed: 0, leads: [] };
+      return { destination: this.label, added: 0, failed: 0, leads: [] };
     }
 
     // Format all leads for Smartlead
@@ -70,7 +103,7 @@ class SmartleadService {
     try {
       // Smartlead supports bulk lead upload
       const response = await this.client.post(
-        `/campaigns/${this.campaignId}/leads`,
+        `/campaigns/${campaignId}/leads`,
         {
           lead_list: formattedLeads,
           settings: {
@@ -95,9 +128,12 @@ class SmartleadService {
 
       logger.step('Leads pushed to Smartlead', addedCount, { failed: failedCount });
 
+      // Bulk upload only reports totals
       return {
+        destination: this.label,
         added: addedCount,
         failed: failedCount,
+        leads: null,
         response: result,
       };
     } catch (error) {
@@ -105,17 +141,21 @@ class SmartleadService {
         error: error.response?.data || error.message,
       });
 
+      // One-by-one adds would fail the same way on a bad key or while the circuit is open
+      if (isFatalError(error)) throw error;
+
       // Fall back to individual adds if bulk fails
-      return this.addLeadsIndividually(formattedLeads);
+      return this.addLeadsIndividually(formattedLeads, campaignId);
     }
   }
 
   /**
    * Add leads one by one (fallback method)
    * @param {Array<Object>} leads - Array of formatted lead objects
-   * @returns {Promise<Object>} - Summary of results
+   * @param {string} campaignId - Target Smartlead campaign
+   * @returns {Promise<Object>} - Normalized result with per-lead outcomes
    */
-  async addLeadsIndividually(leads) {
+  async addLeadsIndividually(leads, campaignId) {
     logger.info('Falling back to individual lead adds');
 
     let addedCount = 0;
@@ -125,7 +165,7 @@ class SmartleadService {
     for (const lead of leads) {
       try {
         const response = await this.client.post(
-          `/campaigns/${this.campaignId}/leads`,
+          `/campaigns/${campaignId}/leads`,
           {
             lead_list: [lead],
             settings: {
@@ -145,6 +185,8 @@ class SmartleadService {
         results.push({ success: true, email: lead.email, response: response.data });
         addedCount++;
       } catch (error) {
+        if (isFatalError(error)) throw error;
+
         results.push({
           success: false,
           email: lead.email,
@@ -165,15 +207,12 @@ class SmartleadService {
     logger.step('Leads pushed to Smartlead (individual)', addedCount, { failed: failedCount });
 
     return {
+      destination: this.label,
       added: addedCount,
       failed: failedCount,
       leads: results,
     };
   }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = SmartleadService;
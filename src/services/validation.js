@@ -0,0 +1,174 @@
+/**
+ * Email validation stage between enrichment and pushing
+ * Runs offline (syntax, bundled domain lists, role accounts); the DNS MX check is opt-in.
+ * Settings come from the `validation` section of the pipeline config.
+ */
+
+const dns = require('dns');
+const logger = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { DISPOSABLE_DOMAINS, FREE_MAIL_DOMAINS, ROLE_ACCOUNTS } = require('../utils/email-lists');
+
+/**
+ * Verdicts in the order they're checked; the first that applies wins
+ */
+const VERDICTS = {
+  invalid_syntax: 'invalid email syntax',
+  disposable: 'disposable email domain',
+  no_mx: 'domain has no mail server',
+  role: 'role account',
+  free_mail: 'free-mail address',
+  valid: 'corporate address',
+};
+
+// Verdicts pushed when the config doesn't set a policy
+const DEFAULT_PUSH_VERDICTS = ['valid', 'free_mail'];
+
+const MX_TIMEOUT_MS = 5000;
+// DNS answers that mean the domain really has nowhere to deliver mail
+const NO_MAIL_CODES = ['ENOTFOUND', 'ENODATA'];
+
+// RFC 5321/5322 dot-atom local part (quoted local parts aren't accepted)
+const LOCAL_PART = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+class EmailValidator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.resolveMx - MX lookup (domain) => Promise<Array>, replaces DNS (e.g. in tests)
+   */
+  constructor({ resolveMx = null } = {}) {
+    // e.g. { "push": ["valid", "free_mail"], "mxCheck": true, "disposableDomains": ["junk.example"] }
+    const config = getConfig('validation');
+
+    this.pushVerdicts = config.push || DEFAULT_PUSH_VERDICTS;
+    this.mxCheck = !!config.mxCheck || !!resolveMx;
+    this.resolveMx = resolveMx || (domain => dns.promises.resolveMx(domain));
+
+    const normalize = list => new Set(list.map(entry => entry.toLowerCase().trim()));
+    this.disposableDomains = normalize([...DISPOSABLE_DOMAINS, ...(config.disposableDomains || [])]);
+    this.freeMailDomains = normalize([...FREE_MAIL_DOMAINS, ...(config.freeMailDomains || [])]);
+    this.roleAccounts = normalize([...ROLE_ACCOUNTS, ...(config.roleAccounts || [])]);
+
+    const unknown = this.pushVerdicts.filter(verdict => !VERDICTS[verdict]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown validation verdicts in push policy: ${unknown.join(', ')} (valid: ${Object.keys(VERDICTS).join(', ')})`);
+    }
+
+    // MX answers per domain, shared across runs
+    this.mxResults = new Map();
+  }
+
+  /**
+   * Check an address against RFC 5321 length limits and dot-atom syntax
+   * @param {string} email
+   * @returns {boolean}
+   */
+  isValidSyntax(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+
+    const at = email.lastIndexOf('@');
+    if (at < 1) return false;
+
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+    const labels = domain.split('.');
+
+    return local.length <= 64
+      && LOCAL_PART.test(local)
+      && labels.length >= 2
+      && labels.every(label => DOMAIN_LABEL.test(label))
+      && /^[A-Za-z]{2,}$/.test(labels[labels.length - 1]);
+  }
+
+  /**
+   * Whether the domain or a parent domain is in a list
+   */
+  inDomainList(domain, list) {
+    const labels = domain.split('.');
+    return labels.some((_, index) => list.has(labels.slice(index).join('.')));
+  }
+
+  /**
+   * Look up whether a domain accepts mail
+   * @param {string} domain
+   * @returns {Promise<boolean|null>} - false when it has no MX records, null when DNS couldn't say
+   */
+  hasMailServer(domain) {
+    if (!this.mxResults.has(domain)) {
+      const timeout = new Promise((_, reject) => {
+        setTimeout(() => reject(Object.assign(new Error('MX lookup timed out'), { code: 'ETIMEOUT' })), MX_TIMEOUT_MS).unref?.();
+      });
+
+      const lookup = Promise.race([this.resolveMx(domain), timeout])
+        .then(records => Array.isArray(records) && records.length > 0)
+        .catch(error => {
+          if (NO_MAIL_CODES.includes(error.code)) return false;
+
+          logger.debug('MX lookup inconclusive', { domain, error: error.message });
+          return null;
+        });
+
+      this.mxResults.set(domain, lookup);
+    }
+
+    return this.mxResults.get(domain);
+  }
+
+  /**
+   * Validate one contact's email
+   * @param {Object} contact - Enriched contact
+   * @returns {Promise<Object>} - { verdict, reason }
+   */
+  async validate(contact) {
+    const email = (contact.email || '').trim().toLowerCase();
+    const verdict = verdict => ({ verdict, reason: VERDICTS[verdict] });
+
+    if (!this.isValidSyntax(email)) return verdict('invalid_syntax');
+
+    const at = email.lastIndexOf('@');
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+
+    if (this.inDomainList(domain, this.disposableDomains)) return verdict('disposable');
+
+    // Inconclusive DNS answers don't count against the lead
+    if (this.mxCheck && await this.hasMailServer(domain) === false) return verdict('no_mx');
+
+    // Plus-addressing (sales+linkedin@) is still the role mailbox
+    if (this.roleAccounts.has(local.split('+')[0])) return verdict('role');
+    if (this.inDomainList(domain, this.freeMailDomains)) return verdict('free_mail');
+
+    return verdict('valid');
+  }
+
+  /**
+   * Validate contacts and split them by the push policy
+   * @param {Array<Object>} contacts - Enriched contacts
+   * @returns {Promise<Object>} - { passed, rejected, dropsByVerdict }: every contact gets a `validation`
+   *   field; rejected entries are { contact, verdict, reason }
+   */
+  async filter(contacts) {
+    const passed = [];
+    const rejected = [];
+    const dropsByVerdict = {};
+
+    for (const contact of contacts) {
+      const validation = await this.validate(contact);
+      const validated = { ...contact, validation };
+
+      if (this.pushVerdicts.includes(validation.verdict)) {
+        passed.push(validated);
+      } else {
+        rejected.push({ contact: validated, ...validation });
+        dropsByVerdict[validation.reason] = (dropsByVerdict[validation.reason] || 0) + 1;
+      }
+    }
+
+    logger.step('Emails passed validation', passed.length, { rejected: rejected.length, dropsByVerdict });
+
+    return { passed, rejected, dropsByVerdict };
+  }
+}
+
+module.exports = EmailValidator;
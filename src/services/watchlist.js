@@ -0,0 +1,253 @@
+/**
+ * Post watchlist: re-scrapes watched posts on a schedule and runs only the engagers found since the last check
+ * Each check is an ordinary queue job (data.watchId) replying in the thread the watch was set up in;
+ * the profiles a watch has already seen are kept here so the pipeline can skip them.
+ */
+
+const JsonStore = require('../utils/store');
+const logger = require('../utils/logger');
+const { parsePostUrl } = require('../utils/linkedin-urls');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Schedule defaults and limits: checks cost an Apify run each
+const DEFAULT_DURATION_MS = 7 * DAY_MS;
+const DEFAULT_INTERVAL_MS = 12 * HOUR_MS;
+const MIN_INTERVAL_MS = HOUR_MS;
+const MAX_DURATION_MS = 30 * DAY_MS;
+
+// How often the scheduler looks for due checks
+const TICK_MS = 60 * 1000;
+
+const FINISHED_JOB_STATES = ['done', 'failed'];
+
+class WatchList {
+  /**
+   * @param {Object} options
+   * @param {JobQueue} options.queue - Queue the checks run through
+   */
+  constructor({ queue }) {
+    this.queue = queue;
+    this.store = new JsonStore('watches', { watches: [] });
+    this.timer = null;
+  }
+
+  /**
+   * Watch posts, or reschedule an existing watch of the same posts in the channel (keeping what it has seen)
+   * @param {Object} options
+   * @param {Array<string>} options.postUrls - Canonical post URLs
+   * @param {Object} options.data - Pipeline options each check runs with (campaign, destination, dryRun, userId...)
+   * @param {Object} options.thread - Slack thread checks reply in ({ channel, ts })
+   * @param {number} options.durationMs - How long to keep watching (default 7 days)
+   * @param {number} options.intervalMs - Time between checks (default 12 hours)
+   * @returns {Object} - { watch, updated }
+   */
+  add({ postUrls, data, thread, durationMs = DEFAULT_DURATION_MS, intervalMs = DEFAULT_INTERVAL_MS }) {
+    if (intervalMs < MIN_INTERVAL_MS) {
+      throw new Error(`Checks can run at most every ${MIN_INTERVAL_MS / HOUR_MS}h`);
+    }
+    if (durationMs > MAX_DURATION_MS) {
+      throw new Error(`Posts can be watched for at most ${MAX_DURATION_MS / DAY_MS} days`);
+    }
+    if (intervalMs > durationMs) {
+      throw new Error('The interval between checks is longer than the watch itself');
+    }
+
+    const now = Date.now();
+    const schedule = {
+      intervalMs,
+      expiresAt: new Date(now + durationMs).toISOString(),
+      // The first check runs straight away
+      nextCheckAt: new Date(now).toISOString(),
+      data,
+    };
+
+    const postIds = this.getPostIds(postUrls);
+    const existing = this.store.data.watches.find(watch => watch.thread.channel === thread.channel
+      && watch.postIds.length === postIds.length && watch.postIds.every(id => postIds.includes(id)));
+
+    if (existing) {
+      Object.assign(existing, schedule);
+      this.store.save();
+
+      logger.info('Watch rescheduled', { watchId: existing.id, intervalMs, expiresAt: existing.expiresAt });
+      return { watch: existing, updated: true };
+    }
+
+    const watch = {
+      id: `watch_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      postUrls,
+      postIds,
+      thread,
+      ...schedule,
+      checks: 0,
+      jobId: null,
+      lastStartedAt: null,
+      lastCheckedAt: null,
+      seenUrls: [],
+      createdAt: new Date(now).toISOString(),
+    };
+
+    this.store.data.watches.push(watch);
+    this.store.save();
+
+    logger.info('Watch added', { watchId: watch.id, postUrls, intervalMs, expiresAt: watch.expiresAt });
+    return { watch, updated: false };
+  }
+
+  /**
+   * Stop watching
+   * @param {Object} options
+   * @param {string} options.channel - Slack channel the watches belong to
+   * @param {Array<string>} options.postUrls - Stop watches of these posts (any format parsePostUrl reads)
+   * @param {string} options.threadTs - Or stop the watch replying in this thread
+   * @returns {Array<Object>} - Removed watches
+   */
+  remove({ channel, postUrls = [], threadTs = null }) {
+    const postIds = this.getPostIds(postUrls);
+    const matches = watch => watch.thread.channel === channel && (postIds.length > 0
+      ? watch.postIds.some(id => postIds.includes(id))
+      : watch.thread.ts === threadTs);
+
+    const removed = this.store.data.watches.filter(matches);
+    if (removed.length === 0) return [];
+
+    this.store.data.watches = this.store.data.watches.filter(watch => !matches(watch));
+    this.store.save();
+
+    logger.info('Watches removed', { watchIds: removed.map(watch => watch.id) });
+    return removed;
+  }
+
+  /**
+   * @param {string} channel - Only watches replying in this Slack channel (all when null)
+   * @returns {Array<Object>} - Watches, soonest check first
+   */
+  list(channel = null) {
+    return this.store.data.watches
+      .filter(watch => !channel || watch.thread.channel === channel)
+      .sort((a, b) => a.nextCheckAt.localeCompare(b.nextCheckAt));
+  }
+
+  /**
+   * @param {string} watchId - Watch ID
+   * @returns {Object|undefined}
+   */
+  get(watchId) {
+    return this.store.data.watches.find(watch => watch.id === watchId);
+  }
+
+  /**
+   * Profiles a watch has seen in earlier checks
+   * @param {string} watchId - Watch ID
+   * @returns {Set<string>} - Profile URLs (empty when the watch is gone)
+   */
+  getSeenUrls(watchId) {
+    return new Set(this.get(watchId)?.seenUrls || []);
+  }
+
+  /**
+   * Record a finished check; its engagers count as seen from now on
+   * A failed check records nothing, so its engagers are picked up by the next one.
+   * @param {string} watchId - Watch ID
+   * @param {Array<string>} profileUrls - Engagers the check settled (not ones left waiting on approval or budget)
+   * @returns {Object|null} - The watch, or null if it was removed meanwhile
+   */
+  completeCheck(watchId, profileUrls) {
+    const watch = this.get(watchId);
+    if (!watch) return null;
+
+    watch.seenUrls = [...new Set([...watch.seenUrls, ...profileUrls])];
+    watch.lastCheckedAt = new Date().toISOString();
+    this.store.save();
+
+    return watch;
+  }
+
+  /**
+   * Whether a watch's last check is still queued or running
+   */
+  isChecking(watch) {
+    const job = watch.jobId && this.queue.getJob(watch.jobId);
+    return !!job && !FINISHED_JOB_STATES.includes(job.state);
+  }
+
+  /**
+   * Start the scheduler
+   * @param {Function} onEnded - Called with a watch once its time is up and its last check has finished
+   */
+  start(onEnded = () => {}) {
+    this.onEnded = onEnded;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+
+    logger.info('Watch scheduler started', { watches: this.store.data.watches.length });
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue due checks and end expired watches
+   * A check that's still in the queue holds its watch's next one back, so checks never overlap.
+   */
+  tick() {
+    const now = Date.now();
+
+    for (const watch of [...this.store.data.watches]) {
+      if (this.isChecking(watch)) continue;
+
+      const expiresAt = Date.parse(watch.expiresAt);
+      const lastStartedAt = watch.lastStartedAt ? Date.parse(watch.lastStartedAt) : 0;
+
+      // One last check runs at expiry, then the watch ends
+      if (now >= expiresAt && lastStartedAt >= expiresAt) {
+        this.end(watch);
+      } else if (now >= Date.parse(watch.nextCheckAt)) {
+        this.startCheck(watch, now);
+      }
+    }
+  }
+
+  /**
+   * Queue a check of a watch's posts
+   */
+  startCheck(watch, now) {
+    watch.checks += 1;
+    watch.lastStartedAt = new Date(now).toISOString();
+    watch.nextCheckAt = new Date(Math.min(now + watch.intervalMs, Date.parse(watch.expiresAt))).toISOString();
+
+    const { job } = this.queue.enqueue({
+      ...watch.data,
+      postUrls: watch.postUrls,
+      source: 'watch',
+      watchId: watch.id,
+      watchCheck: watch.checks,
+    }, watch.thread);
+
+    watch.jobId = job.id;
+    this.store.save();
+
+    logger.info('Watch check queued', { watchId: watch.id, check: watch.checks, jobId: job.id });
+  }
+
+  end(watch) {
+    this.store.data.watches = this.store.data.watches.filter(w => w !== watch);
+    this.store.save();
+
+    logger.info('Watch ended', { watchId: watch.id, checks: watch.checks, seen: watch.seenUrls.length });
+
+    Promise.resolve()
+      .then(() => this.onEnded(watch))
+      .catch(error => logger.warn('Failed to report ended watch', { watchId: watch.id, error: error.message }));
+  }
+
+  getPostIds(postUrls) {
+    return postUrls.map(url => parsePostUrl(url)?.id || url);
+  }
+}
+
+module.exports = WatchList;
@@ -0,0 +1,47 @@
+/**
+ * Pipeline configuration loaded from a JSON file
+ * Path comes from PIPELINE_CONFIG (defaults to ./pipeline.config.json); a missing file means defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const CONFIG_PATH = process.env.PIPELINE_CONFIG || path.join(process.cwd(), 'pipeline.config.json');
+
+let cached = null;
+
+/**
+ * Load the pipeline config (read once, then cached)
+ * @returns {Object} - Parsed config
+ */
+function loadConfig() {
+  if (cached) return cached;
+
+  // Only cache what parsed, so an invalid file keeps failing instead of turning into an empty config
+  let config = {};
+
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid pipeline config at ${CONFIG_PATH}: ${error.message}`);
+    }
+    logger.info('Pipeline config loaded', { path: CONFIG_PATH, sections: Object.keys(config) });
+  }
+
+  cached = config;
+  return cached;
+}
+
+/**
+ * Get one section of the pipeline config
+ * @param {string} section - Top-level key, e.g. 'channels'
+ * @param {*} fallback - Value when the section is missing
+ * @returns {*}
+ */
+function getConfig(section, fallback = {}) {
+  return loadConfig()[section] ?? fallback;
+}
+
+module.exports = { loadConfig, getConfig };
@@ -0,0 +1,45 @@
+/**
+ * Bundled domain and mailbox lists used by the email validation stage
+ * Kept offline on purpose; extend from the `validation` pipeline config section.
+ */
+
+// Throwaway / temporary inbox providers
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonbox.net',
+  'burnermail.io', 'byom.de', 'discard.email', 'discardmail.com', 'dispostable.com',
+  'dropmail.me', 'emailondeck.com', 'fakeinbox.com', 'fakemail.net', 'getairmail.com',
+  'getnada.com', 'guerrillamail.biz', 'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info',
+  'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com', 'harakirimail.com', 'incognitomail.org',
+  'inboxbear.com', 'inboxkitten.com', 'jetable.org', 'linshiyouxiang.net', 'mail-temp.com',
+  'mailcatch.com', 'maildrop.cc', 'mailinator.com', 'mailinator.net', 'mailinator2.com',
+  'mailnesia.com', 'mailpoof.com', 'mailsac.com', 'mintemail.com', 'moakt.com',
+  'mohmal.com', 'mytemp.email', 'mytrashmail.com', 'nada.email', 'nowmymail.com',
+  'sharklasers.com', 'spam4.me', 'spambox.us', 'spamgourmet.com', 'spamex.com',
+  'tempail.com', 'tempinbox.com', 'tempmail.com', 'tempmail.net', 'tempmail.plus',
+  'tempmailo.com', 'temp-mail.io', 'temp-mail.org', 'tempr.email', 'throwawaymail.com',
+  'trash-mail.com', 'trashmail.com', 'trashmail.de', 'trashmail.net', 'trbvm.com',
+  'yopmail.com', 'yopmail.fr', 'yopmail.net', 'wegwerfmail.de', 'emailfake.com',
+];
+
+// Consumer mailbox providers (personal rather than corporate addresses)
+const FREE_MAIL_DOMAINS = [
+  'aol.com', 'btinternet.com', 'comcast.net', 'fastmail.com', 'free.fr',
+  'gmail.com', 'gmx.com', 'gmx.de', 'gmx.net', 'googlemail.com',
+  'hey.com', 'hotmail.co.uk', 'hotmail.com', 'hotmail.fr', 'icloud.com',
+  'live.com', 'mac.com', 'mail.com', 'mail.ru', 'me.com',
+  'msn.com', 'naver.com', 'orange.fr', 'outlook.com', 'pm.me',
+  'proton.me', 'protonmail.com', 'qq.com', 'rediffmail.com', 'sbcglobal.net',
+  'seznam.cz', 't-online.de', 'tutanota.com', 'verizon.net', 'web.de',
+  'yahoo.co.in', 'yahoo.co.uk', 'yahoo.com', 'yahoo.fr', 'yandex.com',
+  'yandex.ru', 'ymail.com', 'zoho.com', '163.com', '126.com',
+];
+
+// Shared / functional mailboxes rather than a person
+const ROLE_ACCOUNTS = [
+  'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries',
+  'enquiry', 'finance', 'hello', 'help', 'hr', 'info', 'inquiries', 'jobs', 'legal', 'mail',
+  'marketing', 'media', 'no-reply', 'noreply', 'office', 'postmaster', 'press', 'privacy',
+  'recruiting', 'sales', 'security', 'service', 'support', 'team', 'webmaster',
+];
+
+module.exports = { DISPOSABLE_DOMAINS, FREE_MAIL_DOMAINS, ROLE_ACCOUNTS };
@@ -0,0 +1,154 @@
+/**
+ * Per-run export: one row per engager with what happened to them at each stage
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const EXPORT_COLUMNS = [
+  'profile_url',
+  'name',
+  'headline',
+  'engagement',
+  'posts',
+  'enrichment_result',
+  'email',
+  'email_status',
+  'email_provider',
+  'email_verdict',
+  'title',
+  'company',
+  'drop_reason',
+  'destination_result',
+  'destination_error',
+];
+
+/**
+ * Build export rows from everything a pipeline run collected
+ * @param {Object} run - Run results
+ * @param {Array<Object>} run.engagers - All engager records from Apify
+ * @param {Array<string>} run.memberIdOnlyUrls - Profile URLs holding only a LinkedIn member ID (never enriched)
+ * @param {Array<string>} run.knownUrls - Profile URLs whose enrichment result came from a provider cache
+ * @param {Array<string>} run.budgetSkippedUrls - Profile URLs not enriched because of the credit budget
+ * @param {Array<Object>} run.contacts - Enriched contacts (new and reused)
+ * @param {Array<Object>} run.invalid - Email validation rejections ({ contact, verdict, reason })
+ * @param {Array<Object>} run.rejected - ICP rejections ({ contact, rule, reason })
+ * @param {Array<Object>} run.alreadyPushed - Contacts skipped because they were already in the campaign
+ * @param {Array<Object>} run.notApproved - Contacts left out at the approval step
+ * @param {Array<Object>} run.pushed - Contacts sent to the destination
+ * @param {Object} run.pushResult - Normalized result from Destination.addLeads
+ * @param {boolean} run.dryRun - Whether the run only previewed leads
+ * @returns {Array<Object>} - Rows keyed by EXPORT_COLUMNS
+ */
+function buildExportRows(run) {
+  const known = new Set(run.knownUrls || []);
+  const budgetSkipped = new Set(run.budgetSkippedUrls || []);
+  const memberIdOnly = new Set(run.memberIdOnlyUrls || []);
+  const contactsByUrl = new Map((run.contacts || []).map(c => [c.linkedinUrl, c]));
+  const invalidByUrl = new Map((run.invalid || []).map(r => [r.contact.linkedinUrl, r.reason]));
+  const rejectedByUrl = new Map((run.rejected || []).map(r => [r.contact.linkedinUrl, r.reason]));
+  const alreadyPushed = new Set((run.alreadyPushed || []).map(c => c.linkedinUrl));
+  const notApproved = new Set((run.notApproved || []).map(c => c.linkedinUrl));
+  const pushed = new Set((run.pushed || []).map(c => c.linkedinUrl));
+  const pushOutcomes = getPushOutcomes(run.pushResult);
+
+  return (run.engagers || []).map(engager => {
+    const url = engager.profileUrl;
+    const contact = contactsByUrl.get(url);
+    const cached = known.has(url) ? 'cached ' : '';
+
+    let dropReason = '';
+    let destinationResult = '';
+    let destinationError = '';
+
+    if (memberIdOnly.has(url)) {
+      dropReason = 'member ID only (no public profile URL)';
+    } else if (budgetSkipped.has(url)) {
+      dropReason = 'over enrichment budget';
+    } else if (!contact) {
+      dropReason = 'no verified email';
+    } else if (invalidByUrl.has(url)) {
+      dropReason = `email: ${invalidByUrl.get(url)}`;
+    } else if (rejectedByUrl.has(url)) {
+      dropReason = `ICP: ${rejectedByUrl.get(url)}`;
+    } else if (alreadyPushed.has(url)) {
+      dropReason = 'already pushed to campaign';
+    } else if (notApproved.has(url)) {
+      dropReason = 'not approved';
+    } else if (pushed.has(url)) {
+      const outcome = pushOutcomes.byEmail.get(contact.email.toLowerCase());
+      destinationResult = outcome ? (outcome.success ? 'added' : 'failed') : pushOutcomes.bulkResult;
+      destinationError = outcome?.error || '';
+    } else if (run.dryRun) {
+      destinationResult = 'dry run (not pushed)';
+    }
+
+    return {
+      profile_url: url,
+      name: engager.name || (contact ? `${contact.firstName} ${contact.lastName}`.trim() : ''),
+      headline: engager.headline || '',
+      engagement: (engager.engagementTypes || []).join('+'),
+      // Space-separated: a run over several posts records each post the person engaged with
+      posts: (engager.postUrls || [engager.postUrl]).filter(Boolean).join(' '),
+      enrichment_result: budgetSkipped.has(url) || memberIdOnly.has(url) ? 'skipped' : contact ? `${cached}match` : `${cached}no match`,
+      email: contact?.email || '',
+      email_status: contact?.emailStatus || '',
+      email_provider: contact?.provider || '',
+      email_verdict: contact?.validation?.verdict || '',
+      title: contact?.title || '',
+      company: contact?.companyName || '',
+      drop_reason: dropReason,
+      destination_result: destinationResult,
+      destination_error: destinationError,
+    };
+  });
+}
+
+/**
+ * Per-lead outcomes when the destination reports them; bulk uploads only report totals
+ * @param {Object} pushResult - Normalized result from Destination.addLeads
+ * @returns {Object} - { byEmail: Map email -> { success, error }, bulkResult: label for leads without one }
+ */
+function getPushOutcomes(pushResult) {
+  const byEmail = new Map();
+
+  for (const lead of pushResult?.leads || []) {
+    byEmail.set(lead.email?.toLowerCase(), {
+      success: lead.success,
+      error: lead.error ? (typeof lead.error === 'string' ? lead.error : JSON.stringify(lead.error)) : '',
+    });
+  }
+
+  const bulkResult = pushResult?.failed > 0
+    ? `uploaded in bulk (${pushResult.failed} failed, per-lead outcome unknown)`
+    : 'added';
+
+  return { byEmail, bulkResult };
+}
+
+/**
+ * Escape a value for CSV
+ */
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize export rows
+ * @param {Array<Object>} rows - Rows from buildExportRows
+ * @param {string} format - 'csv' or 'json'
+ * @param {Array<string>} columns - CSV columns, in order (e.g. with extra columns added by the CLI)
+ * @returns {string} - File content
+ */
+function formatExport(rows, format = 'csv', columns = EXPORT_COLUMNS) {
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(',')),
+  ].join('\n');
+}
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS, buildExportRows, formatExport };
@@ -0,0 +1,210 @@
+/**
+ * Shared HTTP client for the external APIs (Apify, Apollo, Smartlead)
+ * Retries transient failures with exponential backoff and jitter, honours Retry-After,
+ * never retries auth errors, and opens a circuit breaker when a service keeps failing.
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+
+// Network errors and these statuses are worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const AUTH_STATUSES = [401, 403];
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Longest Retry-After we'll sit out before giving up on the request
+  maxRetryAfterMs: 5 * 60 * 1000,
+  // Consecutive failed requests (after retries) before the circuit opens
+  failureThreshold: 5,
+  cooldownMs: 60 * 1000,
+};
+
+/**
+ * A request that failed after all attempts
+ * Keeps the axios `response` so callers can still inspect status, headers and body.
+ */
+class HttpError extends Error {
+  constructor(service, error) {
+    const status = error.response?.status || null;
+    const detail = describeError(error);
+
+    super(AUTH_STATUSES.includes(status)
+      ? `${service} rejected the credentials (HTTP ${status}): check the API key`
+      : `${service} request failed${status ? ` (HTTP ${status})` : ''}: ${detail}`);
+
+    this.name = 'HttpError';
+    this.service = service;
+    this.status = status;
+    this.response = error.response;
+    this.code = error.code;
+  }
+
+  get isAuthError() {
+    return AUTH_STATUSES.includes(this.status);
+  }
+}
+
+/**
+ * Thrown without calling the service while its circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    super(`${service} is unavailable after repeated failures; not retrying for another ${seconds}s`);
+    this.name = 'CircuitOpenError';
+    this.service = service;
+  }
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.service - Service name used in logs and error messages
+   * @param {string} options.baseURL - API base URL
+   * @param {Object} options.headers - Default headers
+   * @param {number} options.maxAttempts - Attempts per request, including the first
+   * @param {number} options.baseDelayMs - First backoff delay (doubles per attempt)
+   * @param {number} options.maxDelayMs - Backoff cap
+   * @param {number} options.failureThreshold - Consecutive failures before the circuit opens
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   */
+  constructor({ service, baseURL, headers = {}, ...options }) {
+    this.service = service;
+    this.options = { ...DEFAULTS, ...options };
+    this.axios = axios.create({ baseURL, headers });
+
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  /**
+   * Send a request with retries
+   * @param {Object} config - axios request config, plus optional maxAttempts override and countRateLimits
+   *   (false when the caller paces itself on 429s, so they don't trip the breaker)
+   * @returns {Promise<Object>} - axios response
+   */
+  async request({ maxAttempts = this.options.maxAttempts, countRateLimits = true, ...config }) {
+    if (Date.now() < this.openUntil) {
+      throw new CircuitOpenError(this.service, this.openUntil);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.axios.request(config);
+        this.consecutiveFailures = 0;
+        return response;
+      } catch (error) {
+        const retryable = isRetryable(error);
+        const delayMs = retryable && attempt < maxAttempts ? this.getRetryDelay(error, attempt) : null;
+
+        if (delayMs === null) {
+          // Client errors mean the service is up, so only transient failures trip the breaker
+          const handledRateLimit = !countRateLimits && error.response?.status === 429;
+          if (retryable && !handledRateLimit) this.recordFailure();
+          throw new HttpError(this.service, error);
+        }
+
+        logger.warn(`${this.service} request failed, retrying`, {
+          url: config.url,
+          status: error.response?.status || error.code,
+          attempt,
+          maxAttempts,
+          delayMs,
+        });
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After if the server sent one, else backoff with jitter
+   * @returns {number|null} - Milliseconds, or null if the server asked for longer than we'll wait
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.options.maxRetryAfterMs ? retryAfterMs : null;
+    }
+
+    const backoff = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.consecutiveFailures >= this.options.failureThreshold) {
+      this.openUntil = Date.now() + this.options.cooldownMs;
+      this.consecutiveFailures = 0;
+
+      logger.error(`${this.service} circuit opened`, {
+        failureThreshold: this.options.failureThreshold,
+        cooldownMs: this.options.cooldownMs,
+      });
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+function isRetryable(error) {
+  if (!error.response) return true; // Network error or timeout
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @returns {number|null} - Milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  const message = data?.error?.message || data?.message || data?.error;
+
+  if (typeof message === 'string') return message;
+  if (data && typeof data === 'object') return JSON.stringify(data).substring(0, 300);
+  return data || error.message;
+}
+
+/**
+ * Errors that will fail every following request too, so the run should stop instead of carrying on
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFatalError(error) {
+  return error instanceof CircuitOpenError || (error instanceof HttpError && error.isAuthError);
+}
+
+/**
+ * Create a client for one external service
+ * @param {Object} options - See HttpClient
+ * @returns {HttpClient}
+ */
+function createHttpClient(options) {
+  return new HttpClient(options);
+}
+
+module.exports = { createHttpClient, HttpClient, HttpError, CircuitOpenError, isFatalError, parseRetryAfter };
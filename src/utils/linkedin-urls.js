@@ -0,0 +1,108 @@
+/**
+ * LinkedIn post URL parsing
+ * Every post link format we see pasted (/posts/ slugs, /feed/update/ and /embed/ URNs, bare URNs,
+ * /pulse/ articles, locale and mobile subdomains, tracking params) resolves to one canonical ID,
+ * so the same post is recognised however it was linked.
+ */
+
+// Any link that points at LinkedIn, including lnkd.in short links; Slack's <url|label> wrapping ends it at | or >
+const LINKEDIN_LINK_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)*(?:linkedin\.com|lnkd\.in)\/[^\s|<>]+/gi;
+const BARE_URN_PATTERN = /\burn(?::|%3A)li(?::|%3A)(?:activity|ugcPost|share)(?::|%3A)\d+/gi;
+
+// Post IDs appear as urn:li:activity:123 in feed/embed URLs and as -activity-123- in /posts/ slugs
+const POST_ID_PATTERN = /(activity|ugcPost|share)[-:](\d{6,})/i;
+const ARTICLE_PATTERN = /^\/pulse\/([^/]+)/i;
+const LINKEDIN_HOST_PATTERN = /^(?:[\w-]+\.)*linkedin\.com$/i;
+
+const POST_TYPES = { activity: 'activity', ugcpost: 'ugcPost', share: 'share' };
+
+/**
+ * Parse one LinkedIn post URL or URN
+ * @param {string} value - URL (with or without scheme) or urn:li:activity/ugcPost/share URN
+ * @returns {Object|null} - { id, type, url } where id is canonical (e.g. "activity:7123...") and url is the
+ *   canonical post URL without tracking params; null if it isn't a LinkedIn post
+ */
+function parsePostUrl(value) {
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim();
+  try {
+    text = decodeURIComponent(text);
+  } catch {
+    // Keep malformed escapes as they are
+  }
+
+  if (/^urn:li:/i.test(text)) {
+    return fromPostId(text);
+  }
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+
+  if (!LINKEDIN_HOST_PATTERN.test(url.hostname)) return null;
+
+  const article = url.pathname.match(ARTICLE_PATTERN);
+  if (article) {
+    const slug = article[1].toLowerCase();
+    return { id: `article:${slug}`, type: 'article', url: `https://www.linkedin.com/pulse/${slug}/` };
+  }
+
+  return fromPostId(url.pathname);
+}
+
+/**
+ * @param {string} text - URL path or URN holding a post ID
+ * @returns {Object|null} - As parsePostUrl
+ */
+function fromPostId(text) {
+  const match = text.match(POST_ID_PATTERN);
+  if (!match) return null;
+
+  const type = POST_TYPES[match[1].toLowerCase()];
+  return {
+    id: `${type}:${match[2]}`,
+    type,
+    url: `https://www.linkedin.com/feed/update/urn:li:${type}:${match[2]}/`,
+  };
+}
+
+/**
+ * Find every LinkedIn post in free text (e.g. a Slack message)
+ * @param {string} text - Message text
+ * @returns {Object} - { posts, unparsed, text }: parsed posts deduped by canonical ID, in order, LinkedIn
+ *   links that aren't recognisable posts (profiles, short links, mangled URLs), and the message text
+ *   with every LinkedIn link and URN taken out (so slugs can't be mistaken for options or flags)
+ */
+function findPostUrls(text) {
+  const posts = new Map();
+  const unparsed = new Set();
+
+  // Slack labels usually repeat the URL; only the link target counts
+  let remaining = (text || '').replace(/<([^|>]+)\|[^>]*>/g, '<$1>');
+
+  const links = [...remaining.matchAll(LINKEDIN_LINK_PATTERN)].map(match => match[0].replace(/[.,;:!?)'"]+$/, ''));
+  remaining = remaining.replace(LINKEDIN_LINK_PATTERN, ' ');
+  const urns = [...remaining.matchAll(BARE_URN_PATTERN)].map(match => match[0]);
+  remaining = remaining.replace(BARE_URN_PATTERN, ' ');
+
+  for (const link of [...links, ...urns]) {
+    const post = parsePostUrl(link);
+
+    if (!post) {
+      unparsed.add(link);
+    } else if (!posts.has(post.id)) {
+      posts.set(post.id, post);
+    }
+  }
+
+  return { posts: [...posts.values()], unparsed: [...unparsed], text: remaining };
+}
+
+module.exports = {
+  parsePostUrl,
+  findPostUrls,
+};
@@ -0,0 +1,92 @@
+/**
+ * LinkedIn profile identity
+ * Scrapers name the same person several ways: vanity slugs (publicId, publicIdentifier, vanityName),
+ * profile URLs on locale or mobile subdomains, URL-encoded slugs, and opaque ACoAA… member IDs.
+ * Every variant resolves to one canonical profile URL. Member IDs are kept apart: enrichment providers
+ * can't look them up.
+ */
+
+const PROFILE_PATH_PATTERN = /^\/in\/([^/]+)/i;
+const LINKEDIN_HOST_PATTERN = /^(?:[\w-]+\.)*linkedin\.com$/i;
+
+// Internal member IDs (ACoAA…, ACwAA…) and the URNs that carry them
+const MEMBER_ID_PATTERN = /^AC[\w-]{20,}$/;
+const MEMBER_URN_PATTERN = /^urn:li:(?:fsd_profile|fs_miniProfile|fs_profile|member|person):(AC[\w-]{20,})$/i;
+
+// Vanity slugs: letters (any script), digits and hyphens
+const SLUG_PATTERN = /^[\p{L}\p{N}_-]{2,100}$/u;
+
+/**
+ * Parse one profile reference
+ * @param {string} value - Profile URL, vanity slug or member URN
+ * @returns {Object|null} - { slug } (lower-case, decoded) or { memberId }; null if it isn't a profile
+ */
+function parseProfileRef(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const text = decode(value.trim());
+
+  const urn = text.match(MEMBER_URN_PATTERN);
+  if (urn) return { memberId: urn[1] };
+
+  let id = text;
+  if (/linkedin\.com\//i.test(text)) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    } catch {
+      return null;
+    }
+
+    const path = url.pathname.match(PROFILE_PATH_PATTERN);
+    if (!LINKEDIN_HOST_PATTERN.test(url.hostname) || !path) return null;
+
+    // URL parsing re-encodes non-ASCII slugs
+    id = decode(path[1]);
+  }
+
+  if (MEMBER_ID_PATTERN.test(id)) return { memberId: id };
+  if (SLUG_PATTERN.test(id)) return { slug: id.toLowerCase() };
+  return null;
+}
+
+function decode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    // Keep malformed escapes as they are
+    return text;
+  }
+}
+
+/**
+ * Resolve the references found for one person to a single identity
+ * A vanity slug wins over a member ID; a record with only a member ID is flagged.
+ * @param {Array<string>} values - Profile URLs, slugs and member URNs, best first
+ * @returns {Object|null} - { profileUrl, memberId, memberIdOnly }, or null if none is a profile
+ */
+function resolveProfile(values) {
+  let slug = null;
+  let memberId = null;
+
+  for (const value of values) {
+    const ref = parseProfileRef(value);
+    slug = slug || ref?.slug || null;
+    memberId = memberId || ref?.memberId || null;
+  }
+
+  if (slug) {
+    return { profileUrl: `https://www.linkedin.com/in/${encodeURIComponent(slug)}`, memberId, memberIdOnly: false };
+  }
+
+  if (memberId) {
+    return { profileUrl: `https://www.linkedin.com/in/${memberId}`, memberId, memberIdOnly: true };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseProfileRef,
+  resolveProfile,
+};
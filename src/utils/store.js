@@ -0,0 +1,59 @@
+/**
+ * Embedded JSON file store for local persistence
+ * Each store is a single JSON document under DATA_DIR, written atomically
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+class JsonStore {
+  /**
+   * @param {string} name - Store name (file is DATA_DIR/<name>.json)
+   * @param {Object} defaults - Initial document when the file doesn't exist yet
+   */
+  constructor(name, defaults = {}) {
+    this.name = name;
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+    this.data = this.load(defaults);
+  }
+
+  /**
+   * Load the document from disk, falling back to defaults
+   * @param {Object} defaults - Initial document
+   * @returns {Object} - Loaded document
+   */
+  load(defaults) {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        return { ...defaults, ...JSON.parse(raw) };
+      }
+    } catch (error) {
+      logger.error('Failed to load store, starting empty', {
+        store: this.name,
+        error: error.message,
+      });
+    }
+
+    return JSON.parse(JSON.stringify(defaults));
+  }
+
+  /**
+   * Persist the document (write to temp file, then rename)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save store', { store: this.name, error: error.message });
+    }
+  }
+}
+
+module.exports = JsonStore;
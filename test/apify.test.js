@@ -0,0 +1,172 @@
+/**
+ * Apify runs against a local fake Apify API: webhook completion and reattaching after a restart
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'ERROR';
+process.env.APIFY_API_TOKEN = 'test-token';
+delete process.env.APIFY_WEBHOOK_SECRET;
+
+const ApifyService = require('../src/services/apify');
+const ApiServer = require('../src/services/api');
+const { startStubServer } = require('./stub-server');
+
+const POST_URL = 'https://www.linkedin.com/feed/update/urn:li:activity:7111111111111111111/';
+const PROFILE_URL = 'https://www.linkedin.com/in/ada-lovelace';
+
+/**
+ * Fake Apify: runs stay RUNNING until finish(runId), which also calls the run's ad-hoc webhooks
+ * the way Apify does (headersTemplate becomes request headers)
+ */
+async function startFakeApify() {
+  const runs = new Map();
+
+  const stub = await startStubServer(({ method, path: route, query }) => {
+    const started = method === 'POST' && route.match(/^\/acts\/([^/]+)\/runs$/);
+    if (started) {
+      const id = `run_${runs.size + 1}`;
+      const webhooks = query.webhooks ? JSON.parse(Buffer.from(query.webhooks, 'base64').toString('utf8')) : [];
+      const run = { id, actId: decodeURIComponent(started[1]), status: 'RUNNING', defaultDatasetId: `dataset_${id}`, webhooks };
+      runs.set(id, run);
+      return { status: 201, body: { data: run } };
+    }
+
+    const polled = route.match(/^\/actor-runs\/([^/]+)$/);
+    if (polled) {
+      return runs.has(polled[1]) ? { body: { data: runs.get(polled[1]) } } : { status: 404 };
+    }
+
+    if (/^\/datasets\/[^/]+\/items$/.test(route)) {
+      const items = [{ inputUrl: POST_URL, reactions: [{ profileUrl: PROFILE_URL, name: 'Ada Lovelace' }] }];
+      return { body: items, headers: { 'x-apify-pagination-total': String(items.length) } };
+    }
+
+    return { status: 404 };
+  });
+
+  const finish = async runId => {
+    const run = runs.get(runId);
+    run.status = 'SUCCEEDED';
+
+    return Promise.all(run.webhooks.map(async webhook => {
+      const response = await fetch(webhook.requestUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...JSON.parse(webhook.headersTemplate || '{}') },
+        body: JSON.stringify({ eventType: 'ACTOR.RUN.SUCCEEDED', eventData: { actorRunId: runId }, resource: run }),
+      });
+      return { status: response.status, body: await response.json() };
+    }));
+  };
+
+  const startedRuns = () => stub.requests.filter(request => request.method === 'POST' && request.path.startsWith('/acts/'));
+
+  return { ...stub, runs, finish, startedRuns };
+}
+
+/**
+ * An ApifyService pointed at the fake, with the HTTP server receiving its webhooks
+ * @param {Object} fake - Fake Apify from startFakeApify
+ * @param {number} port - HTTP server port (a free one by default)
+ */
+async function startApp(fake, port = 0) {
+  process.env.APIFY_API_BASE_URL = fake.url;
+  process.env.PORT = String(port);
+
+  const apify = new ApifyService();
+  const api = new ApiServer({ queue: null, results: null, apify, slackEnabled: false });
+  await api.start(async () => ({}));
+
+  process.env.APIFY_WEBHOOK_URL = `http://127.0.0.1:${api.server.address().port}/webhooks/apify`;
+  apify.enableWebhooks();
+
+  return {
+    apify,
+    webhookUrl: process.env.APIFY_WEBHOOK_URL,
+    close: () => new Promise(resolve => {
+      api.server.closeAllConnections();
+      api.server.close(resolve);
+    }),
+  };
+}
+
+test('a run-finished webhook wakes the wait instead of the next poll', async () => {
+  const fake = await startFakeApify();
+  const app = await startApp(fake);
+
+  try {
+    let webhookResponses;
+    const startedAt = Date.now();
+
+    const engagers = await app.apify.getPostsEngagers([POST_URL], {
+      onRunStarted: (key, run) => {
+        setTimeout(async () => { webhookResponses = await fake.finish(run.id); }, 100);
+      },
+    });
+
+    // With webhooks on, the fallback poll is a minute away
+    assert.ok(Date.now() - startedAt < 10000, `run took ${Date.now() - startedAt}ms`);
+    assert.deepEqual(engagers.map(engager => engager.profileUrl), [PROFILE_URL]);
+    assert.deepEqual(webhookResponses, [{ status: 200, body: { received: true, waiting: true } }]);
+  } finally {
+    await app.close();
+    await fake.close();
+  }
+});
+
+test('webhooks without the right secret are rejected', async () => {
+  const fake = await startFakeApify();
+  const app = await startApp(fake);
+
+  try {
+    const post = headers => fetch(app.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ eventType: 'ACTOR.RUN.SUCCEEDED', eventData: { actorRunId: 'run_1' } }),
+    });
+
+    assert.equal((await post({ 'X-Apify-Webhook-Secret': 'not-the-secret' })).status, 401);
+    assert.equal((await post({})).status, 401);
+    assert.equal((await post({ 'X-Apify-Webhook-Secret': app.apify.webhook.secret })).status, 200);
+  } finally {
+    await app.close();
+    await fake.close();
+  }
+});
+
+test('a job resumed after a restart reattaches to the run saved in job.apifyRuns', async () => {
+  const fake = await startFakeApify();
+  const job = { apifyRuns: {} };
+
+  // The first process saves the run the way the pipeline does, then dies while the run is still going
+  const before = await startApp(fake);
+  const crashed = before.apify.getPostsEngagers([POST_URL], {
+    onRunStarted: (key, run) => {
+      job.apifyRuns[key] = run;
+      throw new Error('Process restarted');
+    },
+  });
+  await assert.rejects(crashed, /Process restarted/);
+  await before.close();
+
+  const [savedRun] = Object.values(job.apifyRuns);
+  assert.equal(fake.runs.get(savedRun.id).status, 'RUNNING');
+
+  // Same webhook URL as before; the secret is derived from the API token, so the restarted process accepts it
+  const after = await startApp(fake, new URL(before.webhookUrl).port);
+
+  try {
+    const resumed = after.apify.getPostsEngagers([POST_URL], { runs: job.apifyRuns });
+    setTimeout(() => fake.finish(savedRun.id), 100);
+
+    const engagers = await resumed;
+
+    assert.deepEqual(engagers.map(engager => engager.profileUrl), [PROFILE_URL]);
+    assert.equal(fake.startedRuns().length, 1);
+    assert.ok(fake.requests.some(request => request.path === `/actor-runs/${savedRun.id}`));
+  } finally {
+    await after.close();
+    await fake.close();
+  }
+});
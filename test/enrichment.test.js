@@ -0,0 +1,138 @@
+/**
+ * Enrichment providers against a local stub of the Apollo API
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-pipeline-test-'));
+process.env.LOG_LEVEL = 'ERROR';
+process.env.APOLLO_API_KEY = 'test-key';
+
+const ApolloService = require('../src/services/apollo');
+const EnrichmentWaterfall = require('../src/services/enrichment');
+const { startStubServer } = require('./stub-server');
+
+const profile = slug => `https://www.linkedin.com/in/${slug}`;
+const engager = slug => ({ profileUrl: profile(slug), postUrls: [] });
+
+const person = slug => ({
+  email: `${slug}@example.com`,
+  email_status: 'verified',
+  first_name: slug,
+  organization: { name: 'Example', primary_domain: 'example.com' },
+});
+
+/**
+ * Stub Apollo that knows some people through bulk match and others only through single match
+ * @param {Object} options
+ * @param {Array<string>} options.bulk - Slugs bulk_match resolves
+ * @param {Array<string>} options.single - Slugs people/match resolves
+ */
+function startApollo({ bulk = [], single = [] }) {
+  const slugOf = url => url.split('/in/')[1];
+
+  return startStubServer(({ path: route, body }) => {
+    if (route === '/people/bulk_match') {
+      return { body: { matches: body.details.map(({ linkedin_url }) => (bulk.includes(slugOf(linkedin_url)) ? person(slugOf(linkedin_url)) : null)) } };
+    }
+    if (route === '/people/match') {
+      const slug = slugOf(body.linkedin_url);
+      return { body: { person: single.includes(slug) ? person(slug) : null } };
+    }
+    return { status: 404 };
+  });
+}
+
+const bulkRequests = stub => stub.requests.filter(request => request.path === '/people/bulk_match');
+const singleRequests = stub => stub.requests.filter(request => request.path === '/people/match');
+const emails = contacts => contacts.map(contact => contact.email).sort();
+
+test('Apollo falls back to single matches for profiles the bulk match leaves unresolved and counts every lookup', async () => {
+  const stub = await startApollo({ bulk: ['ada'], single: ['grace'] });
+
+  try {
+    const apollo = new ApolloService({ baseUrl: stub.url });
+    let lookups = 0;
+
+    const result = await apollo.enrichProfiles(['ada', 'grace', 'linus'].map(engager), {
+      onLookups: count => { lookups += count; },
+    });
+
+    assert.deepEqual(emails(result.contacts), ['ada@example.com', 'grace@example.com']);
+    assert.equal(bulkRequests(stub).length, 1);
+    assert.deepEqual(singleRequests(stub).map(request => request.body.linkedin_url), [profile('grace'), profile('linus')]);
+    assert.equal(lookups, 5);
+    assert.deepEqual(result.skippedUrls, []);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('Apollo skips single matches the budget no longer allows', async () => {
+  const stub = await startApollo({ bulk: ['alan'], single: ['barbara', 'edsger'] });
+
+  try {
+    const apollo = new ApolloService({ baseUrl: stub.url });
+    let spent = 0;
+
+    const result = await apollo.enrichProfiles(['alan', 'barbara', 'edsger'].map(engager), {
+      bypassCache: true,
+      getAllowance: () => 4 - spent,
+      onLookups: count => { spent += count; },
+    });
+
+    assert.equal(spent, 4);
+    assert.deepEqual(emails(result.contacts), ['alan@example.com', 'barbara@example.com']);
+    assert.deepEqual(result.skippedUrls, [profile('edsger')]);
+    assert.equal(singleRequests(stub).length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('Apollo falls back to single matches when bulk match stays rate limited, without opening the circuit', async () => {
+  // Retry-After: 0 keeps the HTTP client's retries and Apollo's back-off instant
+  const stub = await startStubServer(({ path: route, body }) => {
+    if (route === '/people/bulk_match') return { status: 429, headers: { 'Retry-After': '0' } };
+    if (route === '/people/match') return { body: { person: person(body.linkedin_url.split('/in/')[1]) } };
+    return { status: 404 };
+  });
+
+  try {
+    const apollo = new ApolloService({ baseUrl: stub.url });
+    const result = await apollo.enrichProfiles(['barbara', 'frances'].map(engager), { bypassCache: true });
+
+    assert.deepEqual(emails(result.contacts), ['barbara@example.com', 'frances@example.com']);
+    assert.ok(bulkRequests(stub).length >= 5);
+    assert.equal(singleRequests(stub).length, 2);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('the waterfall passes profiles the first provider cannot resolve on to the next', async () => {
+  const first = await startApollo({ bulk: ['margaret'] });
+  const second = await startApollo({ single: ['ken'] });
+
+  try {
+    const waterfall = new EnrichmentWaterfall([
+      new ApolloService({ baseUrl: first.url }),
+      new ApolloService({ baseUrl: second.url }),
+    ]);
+
+    // Both providers are Apollo here and share a cache, so it's bypassed to reach the second stub
+    const result = await waterfall.enrichProfiles(['margaret', 'ken', 'dennis'].map(engager), { bypassCache: true });
+
+    assert.deepEqual(emails(result.contacts), ['ken@example.com', 'margaret@example.com']);
+    assert.deepEqual(result.byProvider, { Apollo: 2 });
+    assert.deepEqual(bulkRequests(first)[0].body.details.map(detail => detail.linkedin_url), ['margaret', 'ken', 'dennis'].map(profile));
+    assert.deepEqual(bulkRequests(second)[0].body.details.map(detail => detail.linkedin_url), ['ken', 'dennis'].map(profile));
+    assert.deepEqual(singleRequests(second).map(request => request.body.linkedin_url), ['ken', 'dennis'].map(profile));
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+  }
+});
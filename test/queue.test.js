@@ -0,0 +1,66 @@
+/**
+ * Job queue: jobs paused for a decision free their worker slot until they're resumed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-pipeline-test-'));
+process.env.LOG_LEVEL = 'ERROR';
+process.env.QUEUE_CONCURRENCY = '1';
+
+const JobQueue = require('../src/services/queue');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a job waiting on approval frees its slot and carries on once resumed', async () => {
+  const queue = new JobQueue();
+  const runs = [];
+
+  queue.start(async (job, setState) => {
+    runs.push(job.data.name);
+    setState('scraping');
+
+    if (job.data.name === 'approval' && !job.approved) {
+      setState('awaiting_approval');
+      return { paused: true };
+    }
+    return {};
+  });
+
+  const { job: paused } = queue.enqueue({ name: 'approval' }, null);
+  const { job: next, position } = queue.enqueue({ name: 'next' }, null);
+  await settle();
+
+  // With one worker, the second job only runs because the first one let go of the slot
+  assert.equal(position, 1);
+  assert.equal(queue.getJob(paused.id).state, 'awaiting_approval');
+  assert.equal(queue.getJob(next.id).state, 'done');
+
+  paused.approved = true;
+  assert.equal(queue.resume(paused.id), paused);
+  await settle();
+
+  assert.deepEqual(runs, ['approval', 'next', 'approval']);
+  assert.equal(queue.getJob(paused.id).state, 'done');
+  assert.equal(queue.resume(paused.id), null);
+});
+
+test('jobs waiting on a decision are left waiting on boot rather than re-run', async () => {
+  const queue = new JobQueue();
+  const { job: overBudget } = queue.enqueue({ name: 'over budget' }, null);
+  const { job: approval } = queue.enqueue({ name: 'approval' }, null);
+  queue.setState(overBudget.id, 'awaiting_budget');
+  queue.setState(approval.id, 'awaiting_approval');
+
+  const restarted = new JobQueue();
+  const resumed = restarted.start(async () => ({}));
+  await settle();
+
+  assert.deepEqual(resumed, []);
+  assert.equal(restarted.getJob(overBudget.id).state, 'awaiting_budget');
+  assert.equal(restarted.getJob(approval.id).state, 'awaiting_approval');
+});
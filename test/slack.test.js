@@ -0,0 +1,54 @@
+/**
+ * Slack message parsing: options, flags and watchlist commands
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'ERROR';
+
+const SlackService = require('../src/services/slack');
+
+// The parsers don't touch the Slack app, so skip the constructor (and its required tokens)
+const slack = Object.create(SlackService.prototype);
+
+const POST_URL = 'https://www.linkedin.com/posts/jane_why-dry-run-no-cache-is-bad-activity-7123456789012345678-abcd';
+const CANONICAL_URL = 'https://www.linkedin.com/feed/update/urn:li:activity:7123456789012345678/';
+
+test('flags inside a post link slug are not read as flags', () => {
+  const parsed = slack.parseMessage(`<${POST_URL}>`);
+
+  assert.deepEqual(parsed.postUrls, [CANONICAL_URL]);
+  assert.equal(parsed.dryRun, undefined);
+  assert.equal(parsed.bypassCache, undefined);
+  assert.equal(slack.parseMessage(`<${POST_URL}> DRYRUN no-cache`).dryRun, true);
+});
+
+test('watch commands read the schedule and options', () => {
+  const command = slack.parseWatchCommand(`watch <${POST_URL}> for 2 weeks every 6h CAMPAIGN: 42 DRYRUN`);
+
+  assert.equal(command.command, 'watch');
+  assert.deepEqual(command.postUrls, [CANONICAL_URL]);
+  assert.equal(command.durationMs, 14 * 24 * 60 * 60 * 1000);
+  assert.equal(command.intervalMs, 6 * 60 * 60 * 1000);
+  assert.deepEqual(command.options, { campaignId: '42', dryRun: true });
+});
+
+test('unwatch and list commands', () => {
+  assert.deepEqual(slack.parseWatchCommand(`unwatch <${POST_URL}>`), { command: 'unwatch', postUrls: [CANONICAL_URL] });
+  assert.deepEqual(slack.parseWatchCommand('unwatch'), { command: 'unwatch', postUrls: [] });
+  assert.deepEqual(slack.parseWatchCommand('list watches'), { command: 'list' });
+});
+
+test('ordinary messages that start with "watch" are not watch commands', () => {
+  for (const text of [
+    `Watch this post! <${POST_URL}>`,
+    `watch out, this one is great <${POST_URL}>`,
+    `Watching <${POST_URL}> closely`,
+    `watch <${POST_URL}> and tell me what you think`,
+    `unwatch me? <${POST_URL}>`,
+  ]) {
+    assert.equal(slack.parseWatchCommand(text), null, text);
+    assert.deepEqual(slack.parseMessage(text).postUrls, [CANONICAL_URL], text);
+  }
+});
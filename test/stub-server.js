@@ -0,0 +1,55 @@
+/**
+ * Local stub HTTP server standing in for an external API in tests
+ * Services are pointed at it through their base URL overrides (baseUrl, APIFY_API_BASE_URL, ...).
+ */
+
+const { createServer } = require('http');
+
+/**
+ * Start a stub server on a free local port
+ * @param {Function} handler - async ({ method, path, query, headers, body }) => { status, body, headers }
+ * @returns {Promise<Object>} - { url, requests, close }: requests lists every request received, in order
+ */
+function startStubServer(handler) {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: raw ? JSON.parse(raw) : null,
+    };
+    requests.push(request);
+
+    try {
+      const { status = 200, body = {}, headers = {} } = await handler(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startStubServer };